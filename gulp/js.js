@@ -11,7 +11,12 @@ exports.all = (cb) => {
 const dist = {
     'files': [
         'src/js/helper.js',
+        'src/js/storageAdapters.js',
         'src/js/stateManager.js',
+        'src/js/tooltipTemplate.js',
+        'src/js/urlSync.js',
+        'src/js/sceneManager.js',
+        'src/js/stateSync.js',
         'src/js/uiManager.js',
         'src/js/layersControl.js',
     ],
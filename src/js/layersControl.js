@@ -6,8 +6,10 @@ class LayersControl {
     constructor(options = {}) {
         this.options = {
             // Default configuration
-            // persist: { localStorageKey: 'layersControlState' },
+            // persist: { key: 'layersControlState', storage: 'localStorage', version: 1 },
             showOpacity: true,
+            reorderable: false,
+            styleLoadTimeout: 15000,
             autoClose: false,
             icon: '☰',
             i18n: {
@@ -29,6 +31,42 @@ class LayersControl {
         this.stateManager = new StateManager(this.options);
         this.uiManager = new UIManager(this.stateManager, this.options);
         
+        // Opt-in permalink synchronization
+        this.urlSync = this.options.urlSync ?
+            new UrlSync(this.options.urlSync === true ? {} : this.options.urlSync) :
+            null;
+        this.urlSyncTimeout = null;
+        this._onUrlChange = this._onUrlChange.bind(this);
+        this._scheduleUrlWrite = this._scheduleUrlWrite.bind(this);
+        
+        // Opt-in named scenes, stored next to the persisted state
+        this.sceneManager = this.options.scenes ?
+            new SceneManager(this.stateManager, this.options.scenes === true ? {} : this.options.scenes, {
+                apply: (scene, options) => this._applyState(scene.state, options),
+                // Capture the camera as it is now, not as of the last debounced save
+                beforeSave: () => this.map && this.saveCurrentViewport()
+            }) :
+            null;
+        this.uiManager.setSceneManager(this.sceneManager);
+        
+        // Opt-in cross-tab sync, and links to other instances in the page
+        this.stateSync = null;
+        this.syncOptions = null;
+        this.syncTimeout = null;
+        this.lastSyncState = null;
+        this.syncOrigins = new Map(); // StateSync or linked control -> remote applies in progress
+        this.links = new Map(); // linked LayersControl -> { options, handler }
+        this._onSyncChange = this._onSyncChange.bind(this);
+        this._setupStateSync();
+        
+        // Undo/redo shortcuts (history: { keyboard: true })
+        this._onHistoryKeydown = this._onHistoryKeydown.bind(this);
+        
+        // Asynchronous storage adapters restore state after construction
+        this._onStateRestored = this._onStateRestored.bind(this);
+        this.stateManager.on('staterestored', this._onStateRestored);
+        this.ready = this.stateManager.ready.then(() => true);
+        
         // MapLibre properties
         this.map = null;
         this.container = null;
@@ -48,6 +86,9 @@ class LayersControl {
         this.container = document.createElement('div');
         this.container.className = 'maplibregl-ctrl maplibregl-ctrl-group layers-control-container';
         
+        // A permalink takes precedence over persisted state
+        this._restoreFromUrl();
+        
         // Connect components
         this.uiManager.setMap(map);
         this.uiManager.setContainer(this.container);
@@ -61,12 +102,20 @@ class LayersControl {
         // Apply persisted state to map
         this._restoreMapState();
         
+        this._setupUrlSync();
+        
+        if (this.options.history?.keyboard) {
+            document.addEventListener('keydown', this._onHistoryKeydown);
+        }
+        
         return this.container;
     }
 
     onRemove() {
         // Cleanup map event listeners
         this._cleanupMapEventListeners();
+        this._cleanupUrlSync();
+        document.removeEventListener('keydown', this._onHistoryKeydown);
         
         // Remove container
         if (this.container && this.container.parentNode) {
@@ -87,6 +136,9 @@ class LayersControl {
         
         // Clean up map event listeners
         this._cleanupMapEventListeners();
+        this._cleanupUrlSync();
+        this._cleanupStateSync();
+        document.removeEventListener('keydown', this._onHistoryKeydown);
         
         // Remove the control from the map if it's attached
         if (this.map && this.container) {
@@ -104,6 +156,8 @@ class LayersControl {
             this.uiManager.deckLayers.clear();
             this.uiManager.overlayToLayerIds.clear();
             this.uiManager.overlayCache.clear();
+            this.uiManager.renderOnClickResults.clear();
+            this.uiManager.renderOnClickLoading.clear();
             this.uiManager.loadingStates.clear();
             this.uiManager.errorStates.clear();
             this.uiManager.zoomFilteredOverlays.clear();
@@ -117,6 +171,7 @@ class LayersControl {
         if (this.stateManager) {
             // Remove all event listeners
             this.stateManager.events = {};
+            this.stateManager.clearHistory();
             
             // Clear all internal state
             this.stateManager.overlayStates = {};
@@ -154,9 +209,8 @@ class LayersControl {
             return false;
         }
         
-        this.stateManager.setBase(id);
-        this._applyBaseToMap(id);
-        return true;
+        // Resolves once the new style has loaded
+        return this.uiManager.handleBaseChange(id);
     }
 
     // Alias for API consistency
@@ -164,6 +218,41 @@ class LayersControl {
         return this.setBaseLayer(baseId);
     }
 
+    // Runs fn(control) as one transaction: deck.gl is updated once, state events collapse
+    // into one per overlay/group plus a single 'change', and state is persisted once.
+    // Resolves with fn's result after every change made inside has settled.
+    batch(fn) {
+        if (typeof fn !== 'function') {
+            console.warn('batch requires a function');
+            return Promise.resolve(false);
+        }
+        
+        this.stateManager.beginBatch();
+        this.uiManager.beginBatch();
+        const start = this.uiManager.batchPromises.length;
+        
+        let result;
+        try {
+            result = fn(this);
+        } catch (error) {
+            this._endBatch();
+            throw error;
+        }
+        
+        // The batch ends once the changes made by fn are applied, with one deck update; overlays
+        // still loading render on their own. Only the returned value waits for them.
+        const applied = this.uiManager.settleBatch(start).finally(() => this._endBatch());
+        return Promise.all([applied, result]).then(([, value]) => value);
+    }
+
+    // Declarative update: { base (or baseId), overlays: { id: { visible, opacity } }, groups,
+    // layerOrder, viewport }, diffed against the current state and applied in one batch.
+    // Resolves true when every change was applied.
+    setState(state = {}) {
+        const { base, ...rest } = state;
+        return this.batch(() => this._applyStateChanges({ ...rest, baseId: rest.baseId || base }));
+    }
+
     // Base Style Management
     addBaseStyle(style) {
         if (!style || !style.id) {
@@ -231,6 +320,7 @@ class LayersControl {
         
         // Check if overlay already exists
         const existingIndex = this.options.overlays.findIndex(o => o.id === overlayConfig.id);
+        const previousGroup = existingIndex > -1 ? this.options.overlays[existingIndex].group : null;
         if (existingIndex > -1) {
             // Update existing overlay
             this.options.overlays[existingIndex] = { ...this.options.overlays[existingIndex], ...overlayConfig };
@@ -245,21 +335,22 @@ class LayersControl {
                 visible: overlayConfig.defaultVisible || false,
                 opacity: overlayConfig.defaultOpacity || 1.0
             };
+            
+            // Runtime overlays are appended to the list, i.e. drawn behind existing ones
+            this.stateManager.layerOrder.unshift(overlayConfig.id);
         }
         
         // Handle groups
         if (overlayConfig.group) {
-            if (!this.stateManager.groupStates[overlayConfig.group]) {
-                this.stateManager.groupStates[overlayConfig.group] = {
-                    visible: overlayConfig.defaultVisible || false,
-                    opacity: 1.0
-                };
-            }
+            this._ensureGroup(overlayConfig.group, overlayConfig.defaultVisible || false);
+        }
+        if (previousGroup && previousGroup !== overlayConfig.group) {
+            this._pruneGroup(previousGroup);
         }
         
         // If defaultVisible is true, activate the overlay on the map
         if (overlayConfig.defaultVisible) {
-            this.uiManager._activateOverlay(overlayConfig.id);
+            this.uiManager._activateInBackground(overlayConfig.id);
             
             // Call onChecked callback if provided and fireOverlayCallback is true
             if (fireOverlayCallback && typeof overlayConfig.onChecked === 'function') {
@@ -301,15 +392,11 @@ class LayersControl {
         this.options.overlays.splice(overlayIndex, 1);
         
         // Remove from state
-        const allOverlays = this.stateManager.get('overlays');
-        delete allOverlays[id];
+        delete this.stateManager.overlayStates[id];
         
         // Remove from layer order
-        const layerOrder = this.stateManager.get('layerOrder');
-        const orderIndex = layerOrder.indexOf(id);
-        if (orderIndex > -1) {
-            layerOrder.splice(orderIndex, 1);
-        }
+        this.stateManager._removeFromLayerOrder(id);
+        this._pruneGroup(overlay.group);
         
         // Re-render UI
         this.uiManager.updateOverlays();
@@ -332,18 +419,12 @@ class LayersControl {
         // Clear configuration
         this.options.overlays = [];
         
-        // Clear state
+        // Clear state; group definitions stay until removeGroup()
         this.stateManager.overlayStates = {};
-        this.stateManager.groupStates = {};
         this.stateManager.layerOrder = [];
+        Object.keys(this.stateManager.get('groups')).forEach(groupId => this._pruneGroup(groupId));
         
-        // Clear UI manager caches
-        this.uiManager.deckLayers.clear();
-        this.uiManager.overlayToLayerIds.clear();
-        this.uiManager.overlayCache.clear();
-        this.uiManager.loadingStates.clear();
-        this.uiManager.errorStates.clear();
-        this.uiManager.zoomFilteredOverlays.clear();
+        this._clearOverlayCaches();
         
         // Re-render UI
         this.uiManager.updateOverlays();
@@ -366,6 +447,7 @@ class LayersControl {
         
         // Clear overlay cache if configuration changed
         this.uiManager.overlayCache.delete(id);
+        this.uiManager.renderOnClickResults.delete(id);
         
         // Re-render UI
         this.uiManager.updateOverlays();
@@ -373,6 +455,106 @@ class LayersControl {
         return true;
     }
 
+    // Configuration export/import: base styles, groups, overlays, i18n and the current state
+    // as one versioned, JSON-serializable document. Functions (callbacks, renderOnClick,
+    // accessors in deckLayers props) cannot be serialized and are left out with a warning.
+    exportConfig() {
+        if (this.map) {
+            this.saveCurrentViewport();
+        }
+        
+        const skipped = [];
+        const config = {
+            version: LayersControl.CONFIG_VERSION,
+            baseStyles: this._toSerializable(this.options.baseStyles, 'baseStyles', skipped),
+            overlays: this._toSerializable(this.options.overlays, 'overlays', skipped),
+            i18n: this._toSerializable(this.options.i18n || {}, 'i18n', skipped),
+            state: JSON.parse(JSON.stringify(this.stateManager.getAll()))
+        };
+        if (this.options.groups) {
+            config.groups = this._toSerializable(this.options.groups, 'groups', skipped);
+        }
+        
+        if (skipped.length > 0) {
+            console.warn(`Not serializable, left out of the exported configuration: ${skipped.join(', ')}`);
+        }
+        return config;
+    }
+
+    // Replaces the catalog with an exported configuration (object or JSON string), re-renders
+    // the panel and restores the exported state. Resolves true once base and overlays are applied.
+    importConfig(json) {
+        let config;
+        try {
+            config = typeof json === 'string' ? JSON.parse(json) : json;
+        } catch (e) {
+            console.warn('Invalid configuration JSON:', e);
+            return Promise.resolve(false);
+        }
+        
+        const hasIds = items => Array.isArray(items) && items.every(item => item && item.id);
+        if (!config || !hasIds(config.baseStyles) || config.baseStyles.length === 0 || !hasIds(config.overlays)) {
+            console.warn('Configuration requires a non-empty baseStyles array and an overlays array, each entry with an id');
+            return Promise.resolve(false);
+        }
+        if ((config.version || 1) > LayersControl.CONFIG_VERSION) {
+            console.warn(`Configuration version ${config.version} is not supported (expected ${LayersControl.CONFIG_VERSION} or lower)`);
+            return Promise.resolve(false);
+        }
+        
+        // Take down the current overlays without their callbacks
+        this.clearSelection();
+        Object.entries(this.stateManager.get('overlays')).forEach(([id, state]) => {
+            if (state.visible) {
+                this.uiManager._deactivateOverlay(id);
+            }
+        });
+        this._clearOverlayCaches();
+        
+        // StateManager and UIManager share this.options
+        const previousBaseId = this.stateManager.get('base');
+        this.options.baseStyles = config.baseStyles;
+        this.options.overlays = config.overlays;
+        if (config.groups) {
+            this.options.groups = config.groups;
+        } else {
+            delete this.options.groups;
+        }
+        if (config.i18n) {
+            this.options.i18n = config.i18n;
+        }
+        
+        this.stateManager.resetStates();
+        if (config.state) {
+            this.stateManager.restoreState(config.state);
+        }
+        
+        // Undo steps refer to the replaced catalog
+        this.stateManager.clearHistory();
+        this.uiManager.render();
+        
+        const changes = [];
+        if (this.map) {
+            const state = this.stateManager.getAll();
+            if (state.baseId !== previousBaseId) {
+                changes.push(this._applyBaseToMap(state.baseId));
+            }
+            if (config.state?.viewport?.center) {
+                this.applySavedViewport();
+            }
+            Object.entries(state.overlays).forEach(([id, overlayState]) => {
+                if (overlayState.visible) {
+                    changes.push(this.uiManager._activateOverlay(id).catch(() => false));
+                }
+            });
+            this.uiManager._updateDeckOverlay();
+        }
+        
+        this.stateManager.emit('change', this.stateManager.getAll());
+        
+        return Promise.all(changes).then(results => results.every(result => result !== false));
+    }
+
     getOverlay(id) {
         const overlay = this.options.overlays.find(o => o.id === id);
         if (!overlay) return null;
@@ -393,16 +575,8 @@ class LayersControl {
             return false;
         }
         
-        this.stateManager.setOverlayVisibility(id, true);
-        this.uiManager._activateOverlay(id);
-        this.uiManager._updateOverlayUI(id);
-        
-        // Call onChecked callback if provided and fireOverlayCallback is true
-        if (fireOverlayCallback && typeof overlay.onChecked === 'function') {
-            this.uiManager._callOverlayCallback(overlay.onChecked, id, overlay, false);
-        }
-        
-        return true;
+        // Resolves once the overlay's layers are rendered; onChecked is only called when fireOverlayCallback is true
+        return this.uiManager.handleOverlayChange(id, { visible: true }, { fireCallback: fireOverlayCallback });
     }
 
     hideOverlay(id, fireOverlayCallback = false) {
@@ -412,16 +586,8 @@ class LayersControl {
             return false;
         }
         
-        this.stateManager.setOverlayVisibility(id, false);
-        this.uiManager._deactivateOverlay(id);
-        this.uiManager._updateOverlayUI(id);
-        
-        // Call onUnchecked callback if provided and fireOverlayCallback is true
-        if (fireOverlayCallback && typeof overlay.onUnchecked === 'function') {
-            this.uiManager._callOverlayCallback(overlay.onUnchecked, id, overlay, false);
-        }
-        
-        return true;
+        // onUnchecked is only called when fireOverlayCallback is true
+        return this.uiManager.handleOverlayChange(id, { visible: false }, { fireCallback: fireOverlayCallback });
     }
 
     toggleOverlayVisibility(id) {
@@ -440,37 +606,23 @@ class LayersControl {
 
     // Group Controls
     showGroup(id) {
-        const hasGroupOverlays = this.options.overlays.some(o => o.group === id);
+        const hasGroupOverlays = this.stateManager.getGroupOverlayIds(id).length > 0;
         if (!hasGroupOverlays) {
             console.warn(`Group '${id}' not found or has no overlays`);
             return false;
         }
         
-        this.stateManager.setGroupVisibility(id, true);
-        this.uiManager.handleToggleGroup(id);
-        return true;
+        return this.uiManager.handleGroupChange(id, { visible: true });
     }
 
     hideGroup(id) {
-        const hasGroupOverlays = this.options.overlays.some(o => o.group === id);
+        const hasGroupOverlays = this.stateManager.getGroupOverlayIds(id).length > 0;
         if (!hasGroupOverlays) {
             console.warn(`Group '${id}' not found or has no overlays`);
             return false;
         }
         
-        this.stateManager.setGroupVisibility(id, false);
-        
-        // Deactivate all overlays in group
-        this.options.overlays
-            .filter(overlay => overlay.group === id)
-            .forEach(overlay => {
-                this.stateManager.setOverlayVisibility(overlay.id, false);
-                this.uiManager._deactivateOverlay(overlay.id);
-                this.uiManager._updateOverlayUI(overlay.id);
-            });
-        
-        this.uiManager._updateGroupUI(id);
-        return true;
+        return this.uiManager.handleGroupChange(id, { visible: false });
     }
 
     toggleGroupVisibility(id) {
@@ -480,13 +632,147 @@ class LayersControl {
             return false;
         }
         
-        if (groupState.visible) {
+        // Same as the panel checkbox: partially visible groups are shown completely
+        if (this.uiManager.getGroupVisibility(id) === 'all') {
             return this.hideGroup(id);
         } else {
             return this.showGroup(id);
         }
     }
 
+    expandGroup(id) {
+        return this._setGroupExpanded(id, true);
+    }
+
+    collapseGroup(id) {
+        return this._setGroupExpanded(id, false);
+    }
+
+    // Group Management
+    addGroup(group) {
+        if (!group || !group.id) {
+            throw new Error('Group must have an id property');
+        }
+        if (group.parent && this.stateManager.getGroupChain(group.parent).includes(group.id)) {
+            console.warn(`Group '${group.id}' cannot be nested in '${group.parent}'`);
+            return false;
+        }
+        
+        // Check if group already exists
+        const groups = this.options.groups || (this.options.groups = []);
+        const existingIndex = groups.findIndex(g => g.id === group.id);
+        const previousParent = existingIndex > -1 ? groups[existingIndex].parent : null;
+        if (existingIndex > -1) {
+            // Update existing group
+            groups[existingIndex] = { ...groups[existingIndex], ...group };
+        } else {
+            // Add new group
+            groups.push(group);
+        }
+        
+        this._syncGroupStates(group.id, previousParent);
+        this._hideExtraExclusiveOverlays();
+        
+        // Re-render UI; groups show up once they contain overlays
+        this.uiManager.updateOverlays();
+        
+        this.stateManager.emit('groupadd', { groupId: group.id, group: this.stateManager.getGroupDefinition(group.id) });
+        return true;
+    }
+
+    updateGroup(id, updates = {}) {
+        const groups = this.options.groups || (this.options.groups = []);
+        const groupIndex = groups.findIndex(g => g.id === id);
+        if (groupIndex === -1 && !this.stateManager.get('groups')[id]) {
+            console.warn(`Group '${id}' not found`);
+            return false;
+        }
+        if (updates.parent && this.stateManager.getGroupChain(updates.parent).includes(id)) {
+            console.warn(`Group '${id}' cannot be nested in '${updates.parent}'`);
+            return false;
+        }
+        
+        // Groups only named by overlays get a definition
+        const previousParent = groupIndex > -1 ? groups[groupIndex].parent : null;
+        if (groupIndex === -1) {
+            groups.push({ ...updates, id });
+        } else {
+            groups[groupIndex] = { ...groups[groupIndex], ...updates, id };
+        }
+        this._syncGroupStates(id, previousParent);
+        
+        // A group that became a radio group (or was nested into one) keeps one visible overlay
+        this._hideExtraExclusiveOverlays();
+        
+        // Re-render UI
+        this.uiManager.updateOverlays();
+        
+        return true;
+    }
+
+    // options.members: 'ungroup' (default) moves the members to the parent group, or to the
+    // top level; 'remove' removes them. Nested groups move to the parent group.
+    removeGroup(id, options = {}) {
+        const definition = this.stateManager.getGroupDefinition(id);
+        const memberIds = this.options.overlays.filter(o => o.group === id).map(o => o.id);
+        if (!definition && memberIds.length === 0 && !this.stateManager.get('groups')[id]) {
+            console.warn(`Group '${id}' not found`);
+            return false;
+        }
+        
+        const members = options.members || 'ungroup';
+        if (members !== 'ungroup' && members !== 'remove') {
+            console.warn(`Invalid members option '${members}': expected 'ungroup' or 'remove'`);
+            return false;
+        }
+        
+        const parent = this.stateManager.getGroupChain(id)[1] || null;
+        
+        // Removed before the members, so removing them does not prune the group a second time
+        if (definition) {
+            this.options.groups = this.options.groups
+                .filter(g => g.id !== id)
+                .map(g => (g.parent === id ? this._withGroupParent(g, parent) : g));
+        }
+        this.stateManager.removeGroupState(id);
+        
+        memberIds.forEach(overlayId => {
+            if (members === 'remove') {
+                this.removeOverlay(overlayId);
+            } else {
+                this._setOverlayGroup(overlayId, parent);
+            }
+        });
+        this._pruneGroup(parent);
+        this._hideExtraExclusiveOverlays();
+        
+        // Re-render UI
+        this.uiManager.updateOverlays();
+        
+        this.stateManager.emit('groupremove', { groupId: id, group: definition, overlays: memberIds, members });
+        return true;
+    }
+
+    // groupId null (or omitted) moves the overlay out of its group
+    moveOverlayToGroup(overlayId, groupId = null) {
+        const overlay = this.options.overlays.find(o => o.id === overlayId);
+        if (!overlay) {
+            console.warn(`Overlay '${overlayId}' not found`);
+            return false;
+        }
+        
+        const previousGroup = overlay.group || null;
+        if (previousGroup === (groupId || null)) return true;
+        
+        this._setOverlayGroup(overlayId, groupId || null);
+        this._pruneGroup(previousGroup);
+        
+        // Re-render UI
+        this.uiManager.updateOverlays();
+        
+        return true;
+    }
+
     // Opacity Controls
     setOverlayOpacity(id, value) {
         const overlay = this.options.overlays.find(o => o.id === id);
@@ -496,20 +782,18 @@ class LayersControl {
         }
         
         const clampedValue = Math.max(0, Math.min(1, parseFloat(value)));
-        this.stateManager.setOverlayOpacity(id, clampedValue);
         this.uiManager.handleOpacitySlider(id, clampedValue, false);
         return true;
     }
 
     setGroupOpacity(id, value) {
-        const hasGroupOverlays = this.options.overlays.some(o => o.group === id);
+        const hasGroupOverlays = this.stateManager.getGroupOverlayIds(id).length > 0;
         if (!hasGroupOverlays) {
             console.warn(`Group '${id}' not found or has no overlays`);
             return false;
         }
         
         const clampedValue = Math.max(0, Math.min(1, parseFloat(value)));
-        this.stateManager.setGroupOpacity(id, clampedValue);
         this.uiManager.handleOpacitySlider(id, clampedValue, true);
         return true;
     }
@@ -524,7 +808,7 @@ class LayersControl {
         }
         layerOrder.push(id); // Add to end (front)
         
-        this.stateManager.reorderLayers(layerOrder);
+        this.uiManager.handleReorderOverlays(layerOrder);
         return true;
     }
 
@@ -537,7 +821,7 @@ class LayersControl {
         }
         layerOrder.unshift(id); // Add to beginning (back)
         
-        this.stateManager.reorderLayers(layerOrder);
+        this.uiManager.handleReorderOverlays(layerOrder);
         return true;
     }
 
@@ -556,10 +840,15 @@ class LayersControl {
             console.warn('Some overlay IDs in reorderOverlays were not found');
         }
         
-        this.stateManager.reorderLayers(validIds);
+        this.uiManager.handleReorderOverlays(validIds);
         return true;
     }
 
+    // Returns the first label (symbol) layer of the current style, for placing overlays under labels
+    getOverlayBeforeId() {
+        return this.uiManager.getOverlayBeforeId();
+    }
+
     // Viewport Controls
     saveCurrentViewport() {
         if (!this.map) {
@@ -595,9 +884,120 @@ class LayersControl {
         return true;
     }
 
+    // Tooltips
+    registerFormatter(name, formatter) {
+        this.uiManager.tooltipTemplate.registerFormatter(name, formatter);
+        return true;
+    }
+
+    // Feature Selection
+    selectFeature(feature, options = {}) {
+        const overlay = this.options.overlays.find(o => o.id === feature?.overlayId);
+        if (!overlay) {
+            console.warn(`Overlay with id '${feature?.overlayId}' not found`);
+            return false;
+        }
+        
+        if (!this.uiManager.selectFeature(feature, options)) {
+            console.warn(`Feature could not be selected in overlay '${overlay.id}' (overlay hidden or feature not found)`);
+            return false;
+        }
+        return true;
+    }
+
+    clearSelection() {
+        return this.uiManager.clearSelection();
+    }
+
+    getSelection() {
+        return this.uiManager.selection ? { ...this.uiManager.selection } : null;
+    }
+
+    // Scenes
+    saveScene(name) {
+        if (!this._requireScenes()) return null;
+        return this.sceneManager.save(name);
+    }
+
+    getScenes() {
+        return this.sceneManager ? this.sceneManager.list() : [];
+    }
+
+    renameScene(id, name) {
+        if (!this._requireScenes()) return false;
+        return this.sceneManager.rename(id, name);
+    }
+
+    deleteScene(id) {
+        if (!this._requireScenes()) return false;
+        return this.sceneManager.remove(id);
+    }
+
+    // Resolves once base and overlays have settled; the camera animates meanwhile
+    applyScene(id, options = {}) {
+        if (!this._requireScenes()) return Promise.resolve(false);
+        return this.sceneManager.apply(id, options);
+    }
+
+    // Linking: changes to base and overlays in either control are applied to the other
+    // (only one way with bidirectional: false). The other control adopts this one's state.
+    link(other, options = {}) {
+        if (!(other instanceof LayersControl) || other === this || !other.stateManager) {
+            console.warn('link requires another LayersControl instance');
+            return false;
+        }
+        if (this.links.has(other)) return true;
+        
+        const linkOptions = { viewport: false, ...options };
+        this._addLink(other, linkOptions);
+        if (linkOptions.bidirectional !== false) {
+            other._addLink(this, linkOptions);
+        }
+        
+        other._applyRemoteState(this._pickSyncState(this.stateManager.getAll(), linkOptions), this).catch(() => {});
+        return true;
+    }
+
+    unlink(other) {
+        if (!this.links.has(other) && !other?.links?.has(this)) {
+            console.warn('Control is not linked');
+            return false;
+        }
+        
+        this._removeLink(other);
+        other._removeLink(this);
+        return true;
+    }
+
+    getLinkedControls() {
+        return Array.from(this.links.keys());
+    }
+
+    // History
+    undo() {
+        return this._stepHistory(-1);
+    }
+
+    redo() {
+        return this._stepHistory(1);
+    }
+
+    canUndo() {
+        return this.stateManager.canUndo();
+    }
+
+    canRedo() {
+        return this.stateManager.canRedo();
+    }
+
+    clearHistory() {
+        this.stateManager.clearHistory();
+        return true;
+    }
+
     // Persistence
-    clearPersistedData() {
-        return this.stateManager.clearPersisted();
+    clearPersistedData(scope) {
+        return this.stateManager.clearPersisted(scope);
     }
 
     // Events
@@ -616,6 +1016,11 @@ class LayersControl {
         return this.stateManager.getAll();
     }
 
+    // Alias for API consistency with setState()
+    getState() {
+        return this.getCurrentState();
+    }
+
     getBaseLayers() {
         const currentBase = this.stateManager.get('base');
         return this.options.baseStyles.map(base => ({
@@ -633,42 +1038,38 @@ class LayersControl {
         }));
     }
 
+    // Defined groups first, in definition order, then groups only named by overlays.
+    // overlays lists direct members; visibility is 'all', 'some' or 'none' of all members.
     getGroups() {
         const groupStates = this.stateManager.get('groups');
-        const groups = new Map();
-        
-        this.options.overlays.forEach(overlay => {
-            if (overlay.group && !groups.has(overlay.group)) {
-                const groupConfig = this.options.groups?.find(g => g.id === overlay.group);
-                groups.set(overlay.group, {
-                    id: overlay.group,
-                    label: groupConfig?.label || overlay.group,
-                    visible: groupStates[overlay.group]?.visible || false,
-                    opacity: groupStates[overlay.group]?.opacity || 1.0,
-                    overlays: []
-                });
-            }
-        });
-        
-        // Add overlays to their groups
-        this.options.overlays.forEach(overlay => {
-            if (overlay.group && groups.has(overlay.group)) {
-                groups.get(overlay.group).overlays.push(overlay.id);
-            }
+        const groupIds = [
+            ...(this.options.groups || []).map(g => g.id),
+            ...this.options.overlays.map(o => o.group).filter(Boolean)
+        ].filter((id, index, all) => all.indexOf(id) === index);
+        
+        return groupIds.map(id => {
+            const groupConfig = this.stateManager.getGroupDefinition(id);
+            return {
+                id,
+                label: groupConfig?.label || id,
+                description: groupConfig?.description || null,
+                parent: this.stateManager.getGroupChain(id)[1] || null,
+                visible: groupStates[id]?.visible || false,
+                visibility: this.uiManager.getGroupVisibility(id),
+                opacity: groupStates[id]?.opacity || 1.0,
+                expanded: groupStates[id]?.expanded !== false,
+                overlays: this.options.overlays.filter(o => o.group === id).map(o => o.id)
+            };
         });
-        
-        return Array.from(groups.values());
     }
 
     // Private methods
     _setupPublicEventForwarding() {
-        // Forward all StateManager events as public events
-        ['change', 'basechange', 'overlaychange', 'overlaygroupchange', 'viewportchange', 'memorycleared']
-            .forEach(eventType => {
-                this.stateManager.on(eventType, (data) => {
-                    // Events are already emitted by StateManager, no need to re-emit
-                });
-            });
+        // on()/off() subscribe to the StateManager bus directly, where UIManager emits
+        // its lifecycle events too; only the onChange option needs wiring here
+        if (typeof this.options.onChange === 'function') {
+            this.stateManager.on('change', this.options.onChange);
+        }
     }
 
     _setupMapEventListeners() {
@@ -707,6 +1108,309 @@ class LayersControl {
         }
     }
 
+    // URL Synchronization
+    _restoreFromUrl() {
+        const urlState = this.urlSync?.read();
+        if (!urlState) return;
+        
+        this.stateManager.restoreState(this._completeUrlState(urlState));
+    }
+
+    // The overlay list of a permalink is exhaustive: unlisted overlays are hidden and
+    // drawn below the listed ones
+    _completeUrlState(urlState) {
+        if (!urlState.overlays) return urlState;
+        
+        const overlays = { ...urlState.overlays };
+        this.options.overlays.forEach(overlay => {
+            if (!overlays[overlay.id]) {
+                overlays[overlay.id] = { visible: false };
+            }
+        });
+        const layerOrder = this.stateManager._normalizeLayerOrder(urlState.layerOrder || []);
+        return { ...urlState, overlays, layerOrder };
+    }
+
+    _setupUrlSync() {
+        if (!this.urlSync) return;
+        
+        this.stateManager.on('change', this._scheduleUrlWrite);
+        window.addEventListener('popstate', this._onUrlChange);
+        if (this.urlSync.mode === 'hash') {
+            window.addEventListener('hashchange', this._onUrlChange);
+        }
+        this._writeUrl();
+    }
+
+    _cleanupUrlSync() {
+        if (!this.urlSync) return;
+        
+        clearTimeout(this.urlSyncTimeout);
+        this.urlSyncTimeout = null;
+        this.stateManager?.off('change', this._scheduleUrlWrite);
+        window.removeEventListener('popstate', this._onUrlChange);
+        window.removeEventListener('hashchange', this._onUrlChange);
+    }
+
+    _scheduleUrlWrite() {
+        clearTimeout(this.urlSyncTimeout);
+        this.urlSyncTimeout = setTimeout(() => this._writeUrl(), this.urlSync.debounce);
+    }
+
+    _writeUrl() {
+        clearTimeout(this.urlSyncTimeout);
+        this.urlSyncTimeout = null;
+        this.urlSync.write(this.stateManager.getAll());
+    }
+
+    // Back/forward navigation or an edited hash: apply the URL through the public API
+    _onUrlChange() {
+        const urlState = this.urlSync.read();
+        if (!urlState) return;
+        
+        // A pending write of the previous state must not overwrite the new URL
+        clearTimeout(this.urlSyncTimeout);
+        this.urlSyncTimeout = null;
+        
+        this._applyState(this._completeUrlState(urlState));
+    }
+
+    // State Synchronization
+    _setupStateSync() {
+        if (!this.options.sync) return;
+        
+        const syncOptions = this.options.sync === true ? {} : this.options.sync;
+        this.syncOptions = { debounce: 100, viewport: false, ...syncOptions };
+        
+        // Tabs sharing a persistence key share a channel unless one is given
+        this.stateSync = new StateSync({
+            channel: syncOptions.channel || this.stateManager.persistKey || undefined,
+            transport: syncOptions.transport
+        });
+        this.stateSync.subscribe(message => {
+            this.lastSyncState = JSON.stringify(message);
+            this._applyRemoteState(message, this.stateSync).catch(() => {});
+        });
+        this.stateManager.on('change', this._onSyncChange);
+    }
+
+    _cleanupStateSync() {
+        clearTimeout(this.syncTimeout);
+        this.syncTimeout = null;
+        
+        if (this.stateSync) {
+            this.stateManager?.off('change', this._onSyncChange);
+            this.stateSync.close();
+            this.stateSync = null;
+        }
+        
+        Array.from(this.links.keys()).forEach(other => this.unlink(other));
+    }
+
+    _onSyncChange() {
+        // Changes applied from other tabs are not sent back
+        if (this._isSyncingFrom(this.stateSync)) return;
+        
+        clearTimeout(this.syncTimeout);
+        this.syncTimeout = setTimeout(() => {
+            this.syncTimeout = null;
+            const message = this._pickSyncState(this.stateManager.getAll(), this.syncOptions);
+            const encoded = JSON.stringify(message);
+            if (encoded === this.lastSyncState) return;
+            
+            this.lastSyncState = encoded;
+            this.stateSync.post(message);
+        }, this.syncOptions.debounce);
+    }
+
+    _addLink(other, options) {
+        const handler = (state) => {
+            // Changes applied from the other control are not sent back to it
+            if (!other.stateManager || this._isSyncingFrom(other)) return;
+            other._applyRemoteState(this._pickSyncState(state, options), this).catch(() => {});
+        };
+        
+        this.links.set(other, { options, handler });
+        this.stateManager.on('change', handler);
+    }
+
+    _removeLink(other) {
+        const link = this.links.get(other);
+        if (!link) return;
+        
+        this.stateManager?.off('change', link.handler);
+        this.links.delete(other);
+    }
+
+    // Base, overlay visibility/opacity and (opt-in) viewport, as sent to other tabs or controls
+    _pickSyncState(state, options = {}) {
+        const picked = {};
+        if (options.base !== false) {
+            picked.baseId = state.baseId;
+        }
+        if (options.overlays !== false) {
+            picked.overlays = {};
+            Object.entries(state.overlays).forEach(([id, overlayState]) => {
+                picked.overlays[id] = { visible: overlayState.visible, opacity: overlayState.opacity };
+            });
+        }
+        if (options.viewport && state.viewport?.center) {
+            picked.viewport = JSON.parse(JSON.stringify(state.viewport));
+        }
+        return picked;
+    }
+
+    _isSyncingFrom(origin) {
+        return (this.syncOrigins.get(origin) || 0) > 0;
+    }
+
+    // Applies state from another tab or a linked control through the public API. It is
+    // not recorded in the history, and not sent back to where it came from.
+    _applyRemoteState(state, origin) {
+        if (!this.stateManager) return Promise.resolve(false);
+        
+        // Base styles and overlays this control does not know are skipped
+        const known = { ...state };
+        if (known.baseId && !this.options.baseStyles.some(base => base.id === known.baseId)) {
+            delete known.baseId;
+        }
+        
+        this.syncOrigins.set(origin, (this.syncOrigins.get(origin) || 0) + 1);
+        this.stateManager.pauseHistory();
+        return this._applyState(known).finally(() => {
+            this.syncOrigins.set(origin, this.syncOrigins.get(origin) - 1);
+            this.stateManager?.resumeHistory();
+        });
+    }
+
+    _endBatch() {
+        // Ends after destroy() are ignored
+        this.uiManager?.endBatch();
+        this.stateManager?.endBatch();
+    }
+
+    // Applies the previous/next history snapshot without recording it.
+    // Resolves false when there is nothing to undo/redo or a change was cancelled.
+    _stepHistory(direction) {
+        if (!this.stateManager.history) {
+            console.warn('History is not enabled (options.history)');
+            return Promise.resolve(false);
+        }
+        
+        const snapshot = this.stateManager.stepHistory(direction);
+        if (!snapshot) return Promise.resolve(false);
+        
+        this.stateManager.pauseHistory();
+        return this._applyState(snapshot).finally(() => this.stateManager.resumeHistory());
+    }
+
+    // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z and Ctrl/Cmd+Y redo; text fields keep their own undo
+    _onHistoryKeydown(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        
+        const target = e.target;
+        const tagName = target?.tagName;
+        const isTextField = target?.isContentEditable || tagName === 'TEXTAREA' || tagName === 'SELECT' ||
+            (tagName === 'INPUT' && !['checkbox', 'radio', 'range', 'button'].includes(target.type));
+        if (isTextField) return;
+        
+        const key = e.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+        
+        const redo = key === 'y' || e.shiftKey;
+        if (redo ? this.canRedo() : this.canUndo()) {
+            e.preventDefault();
+            (redo ? this.redo() : this.undo()).catch(() => {});
+        }
+    }
+
+    _requireScenes() {
+        if (!this.sceneManager) {
+            console.warn('Scenes are not enabled (options.scenes)');
+            return false;
+        }
+        return true;
+    }
+
+    // Applies a partial snapshot { baseId, overlays, groups, layerOrder, viewport } through the public API,
+    // so before* guards apply, as one batch. With options.duration the camera flies instead of jumping.
+    // Resolves true once all base and overlay changes have settled and succeeded.
+    _applyState(state, options = {}) {
+        return this.batch(() => this._applyStateChanges(state, options));
+    }
+
+    _applyStateChanges(state, options = {}) {
+        const { baseId, overlays, groups, layerOrder, viewport } = state;
+        const changes = [];
+        
+        if (baseId && baseId !== this.stateManager.get('base')) {
+            changes.push(this.setBaseLayer(baseId));
+        }
+        
+        if (overlays) {
+            const overlayStates = this.stateManager.get('overlays');
+            Object.entries(overlays).forEach(([id, target]) => {
+                const current = overlayStates[id];
+                if (!current) return;
+                
+                if (target.opacity !== undefined && target.opacity !== current.opacity) {
+                    changes.push(this.uiManager.handleOverlayChange(id, { opacity: target.opacity }));
+                }
+                if (target.visible !== undefined && target.visible !== current.visible) {
+                    changes.push(target.visible ? this.showOverlay(id) : this.hideOverlay(id));
+                }
+            });
+        }
+        
+        // Member overlays are set individually above; only the group state itself is restored,
+        // subject to beforegroupchange
+        if (groups) {
+            const groupStates = this.stateManager.get('groups');
+            Object.entries(groups).forEach(([id, target]) => {
+                const current = groupStates[id];
+                if (!current) return;
+                
+                const groupChanges = {};
+                if (target.opacity !== undefined && target.opacity !== current.opacity) {
+                    groupChanges.opacity = target.opacity;
+                }
+                if (target.visible !== undefined && target.visible !== current.visible) {
+                    groupChanges.visible = target.visible;
+                }
+                if (Object.keys(groupChanges).length > 0) {
+                    changes.push(this.uiManager.handleGroupChange(id, groupChanges, { members: false }));
+                } else {
+                    this.uiManager._updateGroupUI(id);
+                }
+            });
+        }
+        
+        if (layerOrder && layerOrder.join() !== this.stateManager.get('layerOrder').join()) {
+            this.uiManager.handleReorderOverlays(layerOrder);
+        }
+        
+        if (viewport?.center) {
+            // Updated right away so the next URL write does not restore the old viewport
+            this.stateManager.setViewport(viewport);
+            if (this.map) {
+                const camera = {
+                    center: viewport.center,
+                    zoom: viewport.zoom ?? this.map.getZoom(),
+                    bearing: viewport.bearing || 0,
+                    pitch: viewport.pitch || 0
+                };
+                if (options.duration > 0) {
+                    this.map.flyTo({ ...camera, duration: options.duration, essential: true });
+                } else {
+                    this.map.jumpTo(camera);
+                }
+            }
+        }
+        
+        return Promise.all(changes.map(change => Promise.resolve(change).catch(() => false)))
+            .then(results => results.every(result => result !== false));
+    }
+
     _restoreMapState() {
         if (!this.map) return;
         
@@ -719,33 +1423,192 @@ class LayersControl {
         // Apply saved viewport
         const savedViewport = this.stateManager.get('viewport');
         if (savedViewport.center) {
-            // Use setTimeout to ensure map is fully initialized
-            setTimeout(() => {
-                this.applySavedViewport();
-            }, 100);
+            this.applySavedViewport();
         }
         
-        // Activate visible overlays
+        // Activate visible overlays; deck layers render right away and native
+        // layers are added once the base style has loaded
         const overlayStates = this.stateManager.get('overlays');
         Object.entries(overlayStates).forEach(([overlayId, state]) => {
             if (state.visible) {
-                // Use setTimeout to ensure proper initialization order
-                setTimeout(() => {
-                    this.uiManager._activateOverlay(overlayId);
-                }, 200);
+                this.uiManager._activateInBackground(overlayId);
             }
         });
     }
 
-    _applyBaseToMap(baseId) {
+    // Brings the map and panel in line with state that an async storage adapter
+    // restored after they were set up
+    _onStateRestored({ previousState }) {
+        // A permalink still takes precedence over persisted state
+        this._restoreFromUrl();
         if (!this.map) return;
         
-        const baseStyle = this.options.baseStyles.find(base => base.id === baseId);
-        if (!baseStyle) return;
+        const state = this.stateManager.getAll();
+        this.uiManager.render();
+        
+        if (state.baseId !== previousState.baseId) {
+            this._applyBaseToMap(state.baseId);
+        }
+        
+        const viewportChanged = ['center', 'zoom', 'bearing', 'pitch']
+            .some(key => JSON.stringify(state.viewport[key]) !== JSON.stringify(previousState.viewport[key]));
+        if (state.viewport.center && viewportChanged) {
+            this.applySavedViewport();
+        }
+        
+        // Group opacity is part of the effective overlay opacity
+        const groupsChanged = JSON.stringify(state.groups) !== JSON.stringify(previousState.groups);
+        Object.entries(state.overlays).forEach(([overlayId, overlayState]) => {
+            const previous = previousState.overlays[overlayId] || {};
+            if (overlayState.visible && !previous.visible) {
+                this.uiManager._activateInBackground(overlayId);
+            } else if (!overlayState.visible && previous.visible) {
+                this.uiManager._deactivateOverlay(overlayId);
+            } else if (overlayState.visible && (overlayState.opacity !== previous.opacity || groupsChanged)) {
+                this.uiManager._updateOverlayOpacity(overlayId);
+            }
+        });
         
-        // Apply base style to map
-        if (baseStyle.style) {
-            this.map.setStyle(baseStyle.style);
+        if (JSON.stringify(state.layerOrder) !== JSON.stringify(previousState.layerOrder)) {
+            this.uiManager._updateDeckOverlay();
         }
     }
+
+    // Creates the group state for a new group, emitting groupadd
+    // The group and the groups around it get a state once they contain overlays; a group only
+    // named by overlays did not exist before and emits groupadd
+    _ensureGroup(groupId, visible) {
+        this.stateManager.getGroupChain(groupId).forEach((id, index) => {
+            if (this.stateManager.get('groups')[id]) return;
+            
+            this.stateManager._ensureGroupState(id, index === 0 ? visible : false);
+            if (!this.stateManager.getGroupDefinition(id)) {
+                this.stateManager.emit('groupadd', { groupId: id, group: null });
+            }
+        });
+    }
+
+    // Groups without overlays (also through nested groups) lose their state. Groups only named
+    // by overlays are gone then and emit groupremove; definitions stay until removeGroup()
+    _pruneGroup(groupId) {
+        if (!groupId) return;
+        
+        this.stateManager.getGroupChain(groupId).forEach(id => {
+            if (!this.stateManager.get('groups')[id]) return;
+            if (this.stateManager.getGroupOverlayIds(id).length > 0) return;
+            
+            this.stateManager.removeGroupState(id);
+            if (!this.stateManager.getGroupDefinition(id)) {
+                this.stateManager.emit('groupremove', { groupId: id, group: null, overlays: [], members: null });
+            }
+        });
+    }
+
+    // After a definition changed: state for the group's new chain, none for an emptied old parent
+    _syncGroupStates(groupId, previousParent) {
+        if (this.stateManager.getGroupOverlayIds(groupId).length > 0) {
+            this._ensureGroup(groupId, false);
+        }
+        this._pruneGroup(previousParent);
+    }
+
+    _setOverlayGroup(overlayId, groupId) {
+        const index = this.options.overlays.findIndex(o => o.id === overlayId);
+        const { group, ...overlay } = this.options.overlays[index];
+        this.options.overlays[index] = groupId ? { ...overlay, group: groupId } : overlay;
+        
+        if (groupId) {
+            this._ensureGroup(groupId, false);
+        }
+        
+        // Joining a radio group with a visible overlay hides that one
+        if (this.stateManager.get('overlays')[overlayId]?.visible) {
+            this.uiManager._hideExclusiveSiblings(overlayId, {});
+        }
+    }
+
+    _withGroupParent(group, parent) {
+        const { parent: previous, ...rest } = group;
+        return parent ? { ...rest, parent } : rest;
+    }
+
+    // After a group change at runtime, hides all but one visible overlay in each radio group
+    // like a panel click would (deactivation, onUnchecked, events). StateManager's
+    // _enforceExclusiveGroups only fixes up state before anything is rendered.
+    _hideExtraExclusiveOverlays() {
+        const overlayStates = this.stateManager.get('overlays');
+        const visibleIds = this.options.overlays.map(o => o.id).filter(id => overlayStates[id]?.visible);
+        const keep = this.uiManager._pickExclusive(visibleIds);
+        
+        visibleIds.filter(id => !keep.includes(id)).forEach(id => this.uiManager._hideForExclusivity(id));
+    }
+
+    _setGroupExpanded(id, expanded) {
+        if (!this.stateManager.get('groups')[id]) {
+            console.warn(`Group '${id}' not found`);
+            return false;
+        }
+        
+        this.stateManager.setGroupExpanded(id, expanded);
+        this.uiManager._updateGroupUI(id);
+        return true;
+    }
+
+    _clearOverlayCaches() {
+        this.uiManager.deckLayers.clear();
+        this.uiManager.overlayToLayerIds.clear();
+        this.uiManager.overlayCache.clear();
+        this.uiManager.renderOnClickResults.clear();
+        this.uiManager.renderOnClickLoading.clear();
+        this.uiManager.loadingStates.clear();
+        this.uiManager.errorStates.clear();
+        this.uiManager.zoomFilteredOverlays.clear();
+    }
+
+    // Deep copy keeping JSON values only; the paths of anything else are added to skipped
+    _toSerializable(value, path, skipped) {
+        if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+            return value;
+        }
+        if (Array.isArray(value)) {
+            return value.map((item, index) => {
+                const copy = this._toSerializable(item, `${path}[${index}]`, skipped);
+                return copy === undefined ? null : copy;
+            });
+        }
+        if (this._isPlainObject(value)) {
+            const copy = {};
+            Object.entries(value).forEach(([key, item]) => {
+                const serialized = this._toSerializable(item, `${path}.${key}`, skipped);
+                if (serialized !== undefined) {
+                    copy[key] = serialized;
+                }
+            });
+            return copy;
+        }
+        
+        if (value !== undefined) {
+            skipped.push(path);
+        }
+        return undefined;
+    }
+
+    // Also true for objects created in another realm (iframe), unlike a prototype comparison
+    _isPlainObject(value) {
+        if (Object.prototype.toString.call(value) !== '[object Object]') return false;
+        
+        const prototype = Object.getPrototypeOf(value);
+        return prototype === null || Object.getPrototypeOf(prototype) === null;
+    }
+
+    _applyBaseToMap(baseId) {
+        if (!this.map) return;
+        
+        // UIManager re-applies native overlay layers once the new style has loaded;
+        // failures are reported through the styleerror event
+        return this.uiManager._applyBaseToMap(baseId).catch(() => false);
+    }
 }
+
+// Version of the document written by exportConfig(); importConfig() accepts this version or lower
+LayersControl.CONFIG_VERSION = 1;
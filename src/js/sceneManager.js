@@ -0,0 +1,184 @@
+/**
+ * SceneManager - Named snapshots ("scenes") of base style, overlays, groups and viewport
+ *
+ * Scenes are stored through the StateManager's storage adapter under their own key, so
+ * clearing the persisted layer state keeps them. Applying a scene is delegated to the
+ * handlers given by LayersControl, which go through the public API.
+ */
+class SceneManager {
+    /**
+     * @param {StateManager} stateManager - Provides the state snapshot, storage and event bus
+     * @param {Object} [options]
+     * @param {string} [options.key] - Storage key; defaults to `<persist key>.scenes`, in memory only without persistence
+     * @param {number} [options.duration=1000] - Camera animation (ms) when a scene is applied; 0 jumps
+     * @param {Object} [handlers]
+     * @param {Function} [handlers.apply] - (scene, options) => Promise<boolean>, applies a scene to the control
+     * @param {Function} [handlers.beforeSave] - Brings the state up to date (e.g. the current camera) before a save
+     */
+    constructor(stateManager, options = {}, handlers = {}) {
+        this.stateManager = stateManager;
+        this.key = options.key || (stateManager.persistKey ? `${stateManager.persistKey}.scenes` : null);
+        this.duration = options.duration !== undefined ? options.duration : 1000;
+        this.handlers = handlers;
+        this.scenes = [];
+        this.sequence = 0;
+
+        // Resolves once stored scenes have been read (async adapters load later)
+        this.ready = this._load();
+    }
+
+    /**
+     * @returns {Array<Object>} Copies of the scenes: { id, name, state, updatedAt }
+     */
+    list() {
+        return this.scenes.map(scene => ({ ...scene }));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    get(id) {
+        const scene = this.scenes.find(s => s.id === id);
+        return scene ? { ...scene } : null;
+    }
+
+    /**
+     * Save the current state as a scene; an existing scene with the same name is updated
+     * @param {string} name
+     * @returns {Object|null} The saved scene, or null for an empty name
+     */
+    save(name) {
+        const label = typeof name === 'string' ? name.trim() : '';
+        if (!label) {
+            console.warn('Scene name is required');
+            return null;
+        }
+
+        if (this.handlers.beforeSave) {
+            this.handlers.beforeSave();
+        }
+
+        const state = this.capture();
+        const existing = this.scenes.find(s => s.name === label);
+        const scene = existing || { id: this._createId(), name: label };
+        scene.state = state;
+        scene.updatedAt = Date.now();
+
+        if (!existing) {
+            this.scenes.push(scene);
+        }
+        this._commit(existing ? 'update' : 'save', scene);
+        return { ...scene };
+    }
+
+    /**
+     * @param {string} id
+     * @param {string} name
+     * @returns {boolean}
+     */
+    rename(id, name) {
+        const scene = this.scenes.find(s => s.id === id);
+        const label = typeof name === 'string' ? name.trim() : '';
+        if (!scene) {
+            console.warn(`Scene '${id}' not found`);
+            return false;
+        }
+        if (!label) {
+            console.warn('Scene name is required');
+            return false;
+        }
+        if (this.scenes.some(s => s.id !== id && s.name === label)) {
+            console.warn(`A scene named '${label}' already exists`);
+            return false;
+        }
+
+        scene.name = label;
+        scene.updatedAt = Date.now();
+        this._commit('rename', scene);
+        return true;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {boolean}
+     */
+    remove(id) {
+        const index = this.scenes.findIndex(s => s.id === id);
+        if (index === -1) {
+            console.warn(`Scene '${id}' not found`);
+            return false;
+        }
+
+        const [scene] = this.scenes.splice(index, 1);
+        this._commit('delete', scene);
+        return true;
+    }
+
+    /**
+     * Apply a scene through the apply handler
+     * @param {string} id
+     * @param {Object} [options]
+     * @param {number} [options.duration] - Overrides the default camera animation
+     * @returns {Promise<boolean>} Resolves false for an unknown scene or a cancelled change
+     */
+    apply(id, options = {}) {
+        const scene = this.scenes.find(s => s.id === id);
+        if (!scene) {
+            console.warn(`Scene '${id}' not found`);
+            return Promise.resolve(false);
+        }
+        if (!this.handlers.apply) return Promise.resolve(false);
+
+        const duration = options.duration !== undefined ? options.duration : this.duration;
+        return Promise.resolve(this.handlers.apply({ ...scene }, { duration })).then(applied => {
+            this.stateManager.emit('sceneapply', { scene: { ...scene }, applied });
+            return applied;
+        });
+    }
+
+    /**
+     * Snapshot of the state a scene restores (layer order is not part of a scene)
+     * @returns {Object} { baseId, overlays, groups, viewport }
+     */
+    capture() {
+        const { baseId, overlays, groups, viewport } = this.stateManager.getAll();
+
+        // Deep copy: overlay and group states are updated in place
+        return JSON.parse(JSON.stringify({ baseId, overlays, groups, viewport }));
+    }
+
+    // Private methods
+    _load() {
+        if (!this.key || !this.stateManager.storage) return Promise.resolve(false);
+
+        const apply = stored => {
+            const scenes = Array.isArray(stored?.scenes) ? stored.scenes : [];
+            if (scenes.length === 0) return false;
+
+            // Scenes saved before the stored ones were read are kept
+            const names = new Set(this.scenes.map(s => s.name));
+            this.scenes = [...scenes.filter(s => s && s.id && !names.has(s.name)), ...this.scenes];
+            this.stateManager.emit('sceneschange', { action: 'load', scene: null, scenes: this.list() });
+            return true;
+        };
+
+        const stored = this.stateManager.readStored(this.key);
+        if (stored && typeof stored.then === 'function') {
+            return stored.then(apply);
+        }
+        return Promise.resolve(apply(stored));
+    }
+
+    _commit(action, scene) {
+        if (this.key && this.stateManager.storage) {
+            this.stateManager.writeStored(this.key, { version: 1, scenes: this.scenes });
+        }
+        this.stateManager.emit('sceneschange', { action, scene: { ...scene }, scenes: this.list() });
+    }
+
+    _createId() {
+        this.sequence += 1;
+        return `scene-${Date.now().toString(36)}-${this.sequence}`;
+    }
+}
@@ -13,6 +13,7 @@ class StateManager {
         this.overlayStates = {};
         this.groupStates = {};
         this.layerOrder = [];
+        this.batch = null; // { depth, events, changed, persist, layerOrder } while a batch is open
         this.viewportState = {
             center: null,
             zoom: null,
@@ -26,9 +27,30 @@ class StateManager {
             pitch: 0
         };
 
+        // Storage adapter; writes wait until the stored state has been read
+        this.persistKey = config.persist?.key || config.persist?.localStorageKey || null;
+        this.persistVersion = config.persist?.version || 1;
+        this.storage = this._createStorage();
+        this.persistenceReady = false;
+        this.persistPending = false;
+
+        // Undo/redo of base, overlay, group and order changes (opt-in, options.history)
+        const historyOptions = config.history === true ? {} : (config.history || null);
+        this.history = historyOptions ? {
+            past: [],
+            future: [],
+            limit: historyOptions.limit || 50,
+            coalesce: historyOptions.coalesce !== undefined ? historyOptions.coalesce : 400,
+            pending: null, // snapshot before the changes still being coalesced
+            timer: null,
+            paused: 0
+        } : null;
+
         this._initializeStates();
-        this._loadPersistedState();
         this._setupPersistenceDebounce();
+
+        // Resolves once persisted state has been applied (async adapters restore later)
+        this.ready = this._loadPersistedState();
     }
 
     // Event system (from EventEmitter)
@@ -50,6 +72,43 @@ class StateManager {
         return this;
     }
 
+    hasListeners(event) {
+        return !!(this.events[event] && this.events[event].length > 0);
+    }
+
+    // Cancelable "before" events: handlers run in order and may return a Promise.
+    // A handler cancels by returning false or calling event.cancel(), and rewrites the
+    // change by assigning to the event or returning an object of fields to merge.
+    // Resolves with the final payload, or null when cancelled.
+    async emitCancelable(event, data) {
+        let cancelled = false;
+        const eventObject = {
+            ...data,
+            cancel: () => {
+                cancelled = true;
+            }
+        };
+
+        for (const handler of (this.events[event] || []).slice()) {
+            try {
+                const result = await handler(eventObject);
+                if (result === false) {
+                    cancelled = true;
+                } else if (result && typeof result === 'object') {
+                    Object.assign(eventObject, result);
+                }
+            } catch (error) {
+                // A failing guard must not let the change through
+                console.error('Event handler error:', error);
+                cancelled = true;
+            }
+            if (cancelled) return null;
+        }
+
+        const { cancel, ...payload } = eventObject;
+        return payload;
+    }
+
     emit(event, data) {
         if (this.events[event]) {
             this.events[event].forEach(handler => {
@@ -85,27 +144,26 @@ class StateManager {
     }
 
     // State setters
-    setBase(id) {
+    setBase(id, options = {}) {
+        this._recordHistory();
         this.previousBaseId = this.currentBaseId;
         this.currentBaseId = id;
         this._debouncedPersist();
 
-        this.emit('basechange', {
-            baseId: id,
-            previousBaseId: this.previousBaseId
-        });
-        this.emit('change', this.getAll());
+        // Callers switching the map style emit once the style is ready
+        if (!options.deferEvents) {
+            this._emitBaseChange(id, this.previousBaseId);
+        }
     }
 
     setOverlayVisibility(id, visible) {
+        this._recordHistory();
         const previousState = { ...this.overlayStates[id] };
         this.overlayStates[id].visible = visible;
 
-        // Handle layer ordering
-        if (visible && !previousState.visible) {
+        // Overlays keep their draw position across toggles; unknown ones go to the front
+        if (visible && !this.layerOrder.includes(id)) {
             this._addToLayerOrder(id);
-        } else if (!visible && previousState.visible) {
-            this._removeFromLayerOrder(id);
         }
 
         this._debouncedPersist();
@@ -113,6 +171,7 @@ class StateManager {
     }
 
     setOverlayOpacity(id, opacity) {
+        this._recordHistory();
         const previousState = { ...this.overlayStates[id] };
         this.overlayStates[id].opacity = opacity;
         this._debouncedPersist();
@@ -120,21 +179,111 @@ class StateManager {
     }
 
     setGroupVisibility(id, visible) {
+        this._recordHistory();
         this.groupStates[id].visible = visible;
         this._debouncedPersist();
         this._emitGroupChange(id);
     }
 
     setGroupOpacity(id, opacity) {
+        this._recordHistory();
         this.groupStates[id].opacity = opacity;
         this._debouncedPersist();
         this._emitGroupChange(id);
     }
 
+    // Panel expand/collapse state; persisted, but not part of the history
+    setGroupExpanded(id, expanded) {
+        if (!this.groupStates[id]) return;
+
+        this.groupStates[id].expanded = expanded;
+        this._debouncedPersist();
+    }
+
     reorderLayers(newOrder) {
-        this.layerOrder = [...newOrder];
+        this._recordHistory();
+        this.layerOrder = this._normalizeLayerOrder(newOrder);
         this._debouncedPersist();
-        this.emit('change', this.getAll());
+        this._emitChange();
+    }
+
+    // History: changes within `coalesce` ms of each other (a slider drag, a group toggle
+    // and its members) form one entry. The viewport is not part of the history.
+    canUndo() {
+        if (!this.history) return false;
+        return this.history.past.length > 0 || this._hasPendingHistory();
+    }
+
+    canRedo() {
+        return !!this.history && this.history.future.length > 0;
+    }
+
+    // Moves one entry back (-1) or forward (1); returns the snapshot the caller
+    // applies, or null when there is nothing to undo/redo
+    stepHistory(direction) {
+        if (!this.history) return null;
+        this._commitHistory();
+
+        const from = direction < 0 ? this.history.past : this.history.future;
+        const to = direction < 0 ? this.history.future : this.history.past;
+        if (from.length === 0) return null;
+
+        const snapshot = from.pop();
+        to.push(this._historySnapshot());
+        this._emitHistoryChange();
+        return snapshot;
+    }
+
+    // Batches: state events are queued and collapsed, 'change' is emitted once and the
+    // state persisted once when the outermost batch ends
+    beginBatch() {
+        if (this.batch) {
+            this.batch.depth++;
+            return;
+        }
+        this.batch = { depth: 1, events: new Map(), changed: false, persist: false, layerOrder: [...this.layerOrder] };
+    }
+
+    endBatch() {
+        if (!this.batch || --this.batch.depth > 0) return;
+
+        const { events, changed, persist, layerOrder } = this.batch;
+        this.batch = null;
+
+        if (persist) {
+            this._debouncedPersist();
+        }
+        // Changes undone within the batch (e.g. show then hide) emit nothing
+        const netEvents = [...events.values()].filter(({ event, data }) => this._isNetChange(event, data));
+        netEvents.forEach(({ event, data }) => this.emit(event, data));
+        const reordered = layerOrder.join('\n') !== this.layerOrder.join('\n');
+        if (changed && (netEvents.length > 0 || reordered || events.size === 0)) {
+            this.emit('change', this.getAll());
+        }
+
+        // The batch becomes one history entry once the coalesce delay has passed
+        if (this.history?.pending) {
+            this._recordHistory();
+        }
+    }
+
+    // Changes made while paused (e.g. applying an undo step) are not recorded
+    pauseHistory() {
+        if (this.history) this.history.paused++;
+    }
+
+    resumeHistory() {
+        if (this.history && this.history.paused > 0) this.history.paused--;
+    }
+
+    clearHistory() {
+        if (!this.history) return;
+
+        clearTimeout(this.history.timer);
+        this.history.past = [];
+        this.history.future = [];
+        this.history.pending = null;
+        this._emitHistoryChange();
     }
 
     // Viewport auto-save
@@ -148,41 +297,190 @@ class StateManager {
 
         this._debouncedPersist();
         
-        this.emit('viewportchange', {
+        this._emitStateEvent('viewportchange', 'viewportchange', {
             viewport: { ...this.viewportState },
             previousViewport: this.previousViewportState
         });
-        this.emit('change', this.getAll());
+        this._emitChange();
+    }
+
+    // Applies a partial snapshot { baseId, overlays, groups, layerOrder, viewport } (e.g. from a
+    // permalink) without emitting events; the result is persisted so it replaces the stored state
+    restoreState(state) {
+        if (state.baseId) {
+            if (this.config.baseStyles.find(b => b.id === state.baseId)) {
+                this.currentBaseId = state.baseId;
+            } else {
+                console.warn(`Base style '${state.baseId}' not found`);
+            }
+        }
+
+        if (state.overlays) {
+            Object.entries(state.overlays).forEach(([overlayId, overlayState]) => {
+                if (this.overlayStates[overlayId]) {
+                    Object.assign(this.overlayStates[overlayId], overlayState);
+                } else {
+                    console.warn(`Overlay '${overlayId}' not found`);
+                }
+            });
+        }
+
+        if (state.groups) {
+            Object.entries(state.groups).forEach(([groupId, groupState]) => {
+                if (this.groupStates[groupId]) {
+                    Object.assign(this.groupStates[groupId], groupState);
+                } else if (!this.getGroupDefinition(groupId)) {
+                    // Defined groups without overlays have no state to restore into
+                    console.warn(`Group '${groupId}' not found`);
+                }
+            });
+        }
+
+        if (Array.isArray(state.layerOrder)) {
+            this.layerOrder = this._normalizeLayerOrder(state.layerOrder);
+        }
+
+        if (state.viewport) {
+            this.viewportState = {
+                center: state.viewport.center || null,
+                zoom: state.viewport.zoom ?? null,
+                bearing: state.viewport.bearing || 0,
+                pitch: state.viewport.pitch || 0
+            };
+        }
+
+        this._enforceExclusiveGroups();
+        this._debouncedPersist();
     }
 
     // Persistence
     persist() {
-        if (!this.config.persist?.localStorageKey) return;
+        if (!this.storage) return;
 
-        try {
-            const state = this.getAll();
-            localStorage.setItem(this.config.persist.localStorageKey, JSON.stringify(state));
-        } catch (e) {
-            console.warn('Failed to persist layer state:', e);
+        // Writing before the stored state was read would overwrite it with defaults
+        if (!this.persistenceReady) {
+            this.persistPending = true;
+            return;
         }
+
+        const state = this._applyPersistPolicy({ version: this.persistVersion, ...this.getAll() });
+        this._callStorage('set', state, e => {
+            console.warn('Failed to persist layer state:', e);
+        });
     }
 
-    clearPersisted() {
-        if (!this.config.persist?.localStorageKey) {
-            console.warn('No localStorage key configured for persistence');
+    // Removes all stored state, or only a scope of it: field name(s), or
+    // { fields, overlays } to forget overlay fields of the listed overlays only.
+    // Returns a boolean, or a Promise of one for asynchronous adapters
+    clearPersisted(scope) {
+        if (!this.storage) {
+            console.warn('Persistence is not configured');
             return false;
         }
 
-        try {
-            localStorage.removeItem(this.config.persist.localStorageKey);
+        const onError = e => {
+            console.error('Failed to clear persisted state:', e);
+        };
+        const emitCleared = result => {
+            if (result === false) return false;
             this.emit('memorycleared', {
-                localStorageKey: this.config.persist.localStorageKey
+                key: this.persistKey,
+                localStorageKey: this.persistKey,
+                scope: scope === undefined ? null : scope
             });
             return true;
-        } catch (e) {
-            console.error('Failed to clear persisted state:', e);
-            return false;
+        };
+
+        if (scope === undefined) {
+            return this._whenSettled(this._callStorage('remove', undefined, onError), emitCleared);
         }
+
+        const normalized = this._normalizeClearScope(scope);
+        if (!normalized) return false;
+
+        // Partial clears rewrite the stored state without the scoped fields
+        return this._whenSettled(this._callStorage('get', undefined, onError), stored => {
+            if (stored === false) return false;
+            if (!stored) return emitCleared(true);
+
+            try {
+                const state = typeof stored === 'string' ? JSON.parse(stored) : stored;
+                this._removePersistedFields(state, normalized);
+                return this._whenSettled(this._callStorage('set', state, onError), emitCleared);
+            } catch (e) {
+                onError(e);
+                return false;
+            }
+        });
+    }
+
+    // Rebuilds overlay and group state from the configured defaults after the catalog has
+    // been replaced; the base style is kept while it still exists
+    resetStates() {
+        this.overlayStates = {};
+        this.groupStates = {};
+        this.layerOrder = [];
+        this._initializeStates();
+
+        if (!this.config.baseStyles.some(b => b.id === this.currentBaseId)) {
+            const defaultBase = this.config.baseStyles.find(b => b.id === this.config.defaultBaseId);
+            this.currentBaseId = (defaultBase || this.config.baseStyles[0])?.id;
+        }
+        this._debouncedPersist();
+    }
+
+    removeGroupState(id) {
+        if (!this.groupStates[id]) return;
+
+        delete this.groupStates[id];
+        this._debouncedPersist();
+    }
+
+    // Group tree: options.groups entries may name a `parent` group. Returns the group
+    // followed by its ancestors; unknown parents and cycles end the chain.
+    getGroupChain(groupId) {
+        const chain = [];
+        let id = groupId;
+        while (id && !chain.includes(id)) {
+            chain.push(id);
+            id = this.getGroupDefinition(id)?.parent;
+        }
+        return chain;
+    }
+
+    getGroupDefinition(groupId) {
+        return this.config.groups?.find(g => g.id === groupId) || null;
+    }
+
+    // Nearest group around the overlay with type: 'radio', whose overlays are mutually exclusive
+    getExclusiveGroup(overlayId) {
+        const overlay = this.config.overlays.find(o => o.id === overlayId);
+        if (!overlay?.group) return null;
+
+        return this.getGroupChain(overlay.group).find(id => this.getGroupDefinition(id)?.type === 'radio') || null;
+    }
+
+    // Overlays of the group and of its nested groups
+    getGroupOverlayIds(groupId) {
+        return this.config.overlays
+            .filter(overlay => overlay.group && this.getGroupChain(overlay.group).includes(groupId))
+            .map(overlay => overlay.id);
+    }
+
+    // Data kept next to the layer state under its own key (e.g. scenes); the value,
+    // or a Promise of it for async adapters. Failed reads yield false.
+    readStored(key) {
+        if (!this.storage) return null;
+        return this._callStorage('get', undefined, e => {
+            console.warn(`Failed to load '${key}' from storage:`, e);
+        }, key);
+    }
+
+    writeStored(key, value) {
+        if (!this.storage) return false;
+        return this._callStorage('set', value, e => {
+            console.warn(`Failed to save '${key}' to storage:`, e);
+        }, key);
     }
 
     // Private methods
@@ -193,23 +491,246 @@ class StateManager {
                 opacity: overlay.defaultOpacity || 1.0
             };
 
-            if (overlay.group && !this.groupStates[overlay.group]) {
-                this.groupStates[overlay.group] = {
-                    visible: overlay.defaultVisible || false,
-                    opacity: 1.0
-                };
+            // First configured overlay is drawn on top
+            this.layerOrder.unshift(overlay.id);
+
+            if (overlay.group) {
+                this._ensureGroupState(overlay.group, overlay.defaultVisible || false);
             }
         });
+
+        // Defined groups get a state while they contain overlays, also through nested groups
+        (this.config.groups || []).forEach(group => {
+            if (this.getGroupOverlayIds(group.id).length > 0) {
+                this._ensureGroupState(group.id, false);
+            }
+        });
+
+        this._enforceExclusiveGroups();
+    }
+
+    // Keeps the first visible overlay of each radio group, e.g. when several are defaultVisible
+    _enforceExclusiveGroups() {
+        const shown = new Set();
+        this.config.overlays.forEach(overlay => {
+            const groupId = this.getExclusiveGroup(overlay.id);
+            const state = this.overlayStates[overlay.id];
+            if (!groupId || !state?.visible) return;
+
+            if (shown.has(groupId)) {
+                state.visible = false;
+            } else {
+                shown.add(groupId);
+            }
+        });
+    }
+
+    _ensureGroupState(groupId, visible) {
+        if (this.groupStates[groupId]) return;
+
+        this.groupStates[groupId] = {
+            visible,
+            opacity: 1.0,
+            expanded: this.getGroupDefinition(groupId)?.expanded !== false
+        };
+    }
+
+    _createStorage() {
+        if (!this.persistKey) return null;
+
+        const storage = StorageAdapters.create(this.config.persist.storage);
+        if (!storage) {
+            console.warn('Invalid persist.storage: expected a built-in adapter name or an object with get, set and remove');
+        }
+        return storage;
+    }
+
+    // Calls an adapter method; sync results are returned as is, async ones as a Promise.
+    // Failures are reported to onError and yield false.
+    _callStorage(method, value, onError, key = this.persistKey) {
+        const args = method === 'set' ? [key, value] : [key];
+        try {
+            const result = this.storage[method](...args);
+            if (result && typeof result.then === 'function') {
+                return result.then(resolved => resolved, e => {
+                    onError(e);
+                    return false;
+                });
+            }
+            return result;
+        } catch (e) {
+            onError(e);
+            return false;
+        }
     }
 
     _loadPersistedState() {
-        if (!this.config.persist?.localStorageKey) return;
+        if (!this.storage) {
+            this.persistenceReady = true;
+            return Promise.resolve(false);
+        }
+
+        const onError = e => {
+            console.warn('Failed to load persisted layer state:', e);
+        };
+        const stored = this._callStorage('get', undefined, onError);
+
+        // Synchronous adapters restore before the panel is first rendered
+        if (!stored || typeof stored.then !== 'function') {
+            const restored = this._applyPersistedState(stored, onError);
+            this._onPersistenceReady();
+            return Promise.resolve(restored);
+        }
+
+        return stored.then(value => {
+            // getAll() copies are shallow and overlay states are updated in place
+            const previousState = JSON.parse(JSON.stringify(this.getAll()));
+            const restored = this._applyPersistedState(value, onError);
+            this._onPersistenceReady();
+
+            if (restored) {
+                this.emit('staterestored', {
+                    state: this.getAll(),
+                    previousState
+                });
+            }
+            return restored;
+        });
+    }
+
+    // Continues with the result of an adapter call, which may be a Promise
+    _whenSettled(result, callback) {
+        if (result && typeof result.then === 'function') {
+            return result.then(callback);
+        }
+        return callback(result);
+    }
+
+    // Persistence policy: persist.fields switches fields off globally; an overlay's
+    // persist option (or persistent: false) overrides visible/opacity for that overlay
+    _persistsField(field) {
+        return this.config.persist?.fields?.[field] !== false;
+    }
+
+    _persistsOverlayField(overlayId, field) {
+        const overlay = this.config.overlays.find(o => o.id === overlayId);
+        if (overlay?.persistent === false || overlay?.persist === false) return false;
+        if (overlay?.persist === true) return true;
+        if (overlay?.persist && overlay.persist[field] !== undefined) {
+            return overlay.persist[field] !== false;
+        }
+        return this._persistsField(field);
+    }
+
+    // Drops the fields excluded by the policy; applied when writing and when restoring,
+    // so state stored before a field was excluded is not applied either
+    _applyPersistPolicy(state) {
+        const filtered = {};
+        if (state.version !== undefined) {
+            filtered.version = state.version;
+        }
+
+        Object.entries(StateManager.PERSISTED_FIELDS).forEach(([field, key]) => {
+            if (state[key] !== undefined && this._persistsField(field)) {
+                filtered[key] = state[key];
+            }
+        });
+
+        if (state.overlays) {
+            filtered.overlays = {};
+            Object.entries(state.overlays).forEach(([overlayId, overlayState]) => {
+                const entry = {};
+                StateManager.OVERLAY_FIELDS.forEach(field => {
+                    if (overlayState?.[field] !== undefined && this._persistsOverlayField(overlayId, field)) {
+                        entry[field] = overlayState[field];
+                    }
+                });
+                if (Object.keys(entry).length > 0) {
+                    filtered.overlays[overlayId] = entry;
+                }
+            });
+        }
+        return filtered;
+    }
+
+    _normalizeClearScope(scope) {
+        const normalized = typeof scope === 'string' || Array.isArray(scope) ?
+            { fields: [].concat(scope) } :
+            { fields: scope?.fields ? [].concat(scope.fields) : null, overlays: scope?.overlays || null };
+
+        // Clearing overlays without fields forgets all of their fields
+        if (!normalized.fields) {
+            normalized.fields = normalized.overlays ? [...StateManager.OVERLAY_FIELDS] : [];
+        }
+
+        const known = [...Object.keys(StateManager.PERSISTED_FIELDS), ...StateManager.OVERLAY_FIELDS];
+        const unknown = normalized.fields.filter(field => !known.includes(field));
+        if (unknown.length > 0 || normalized.fields.length === 0) {
+            console.warn(`Invalid persistence scope; expected fields from: ${known.join(', ')}`);
+            return null;
+        }
+        return normalized;
+    }
+
+    _removePersistedFields(state, { fields, overlays }) {
+        fields.forEach(field => {
+            if (StateManager.PERSISTED_FIELDS[field]) {
+                delete state[StateManager.PERSISTED_FIELDS[field]];
+            }
+        });
+
+        const overlayFields = fields.filter(field => StateManager.OVERLAY_FIELDS.includes(field));
+        if (!state.overlays || overlayFields.length === 0) return;
+
+        Object.keys(state.overlays).forEach(overlayId => {
+            if (overlays && !overlays.includes(overlayId)) return;
+
+            overlayFields.forEach(field => {
+                delete state.overlays[overlayId][field];
+            });
+            if (Object.keys(state.overlays[overlayId]).length === 0) {
+                delete state.overlays[overlayId];
+            }
+        });
+    }
+
+    _onPersistenceReady() {
+        this.persistenceReady = true;
+        if (this.persistPending) {
+            this.persistPending = false;
+            this.persist();
+        }
+    }
+
+    // Stored state without a version predates versioning and counts as version 1
+    _migratePersistedState(persistedState) {
+        const version = typeof persistedState.version === 'number' ? persistedState.version : 1;
+        if (version === this.persistVersion) return persistedState;
+
+        if (typeof this.config.persist.migrate !== 'function') {
+            console.warn(`Persisted layer state has version ${version}, expected ${this.persistVersion}; restoring it as is`);
+            return persistedState;
+        }
+
+        const migrated = this.config.persist.migrate(persistedState, version, this.persistVersion);
+
+        // Store the migrated state in the current version
+        if (migrated) {
+            this._debouncedPersist();
+        }
+        return migrated;
+    }
+
+    _applyPersistedState(stored, onError) {
+        if (!stored) return false;
 
         try {
-            const stored = localStorage.getItem(this.config.persist.localStorageKey);
-            if (!stored) return;
+            // Custom adapters may hand back the raw JSON string
+            const parsed = typeof stored === 'string' ? JSON.parse(stored) : stored;
+            const migrated = this._migratePersistedState(parsed);
+            if (!migrated) return false;
 
-            const persistedState = JSON.parse(stored);
+            const persistedState = this._applyPersistPolicy(migrated);
 
             // Restore base style
             if (persistedState.baseId) {
@@ -221,11 +742,13 @@ class StateManager {
                 }
             }
 
-            // Restore overlay states
+            // Restore overlay states; renamed ids need a persist.migrate step
             if (persistedState.overlays) {
                 Object.entries(persistedState.overlays).forEach(([overlayId, state]) => {
                     if (this.overlayStates[overlayId]) {
                         Object.assign(this.overlayStates[overlayId], state);
+                    } else {
+                        console.warn(`Persisted overlay '${overlayId}' no longer exists`);
                     }
                 });
             }
@@ -235,34 +758,107 @@ class StateManager {
                 Object.entries(persistedState.groups).forEach(([groupId, state]) => {
                     if (this.groupStates[groupId]) {
                         Object.assign(this.groupStates[groupId], state);
+                    } else {
+                        console.warn(`Persisted group '${groupId}' no longer exists`);
                     }
                 });
             }
 
             // Restore layer order
             if (persistedState.layerOrder && Array.isArray(persistedState.layerOrder)) {
-                this.layerOrder = persistedState.layerOrder.filter(layerId =>
-                    this.overlayStates[layerId]
-                );
+                this.layerOrder = this._normalizeLayerOrder(persistedState.layerOrder);
             }
 
             // Restore viewport
             if (persistedState.viewport) {
                 this.viewportState = {
                     center: persistedState.viewport.center || null,
-                    zoom: persistedState.viewport.zoom || null,
+                    zoom: persistedState.viewport.zoom ?? null,
                     bearing: persistedState.viewport.bearing || 0,
                     pitch: persistedState.viewport.pitch || 0
                 };
             }
+
+            this._enforceExclusiveGroups();
+            return true;
         } catch (e) {
-            console.warn('Failed to parse persisted layer state:', e);
+            onError(e);
+            return false;
+        }
+    }
+
+    _historySnapshot() {
+        // Expanding or collapsing a group is not an undoable change
+        const groups = {};
+        Object.entries(this.groupStates).forEach(([id, { visible, opacity }]) => {
+            groups[id] = { visible, opacity };
+        });
+
+        return JSON.parse(JSON.stringify({
+            baseId: this.currentBaseId,
+            overlays: this.overlayStates,
+            groups,
+            layerOrder: this.layerOrder
+        }));
+    }
+
+    // Called by setters before they mutate state
+    _recordHistory() {
+        const history = this.history;
+        if (!history || history.paused > 0) return;
+
+        if (!history.pending) {
+            history.pending = this._historySnapshot();
+            // canUndo() is true as soon as the change is applied, before the entry is committed
+            Promise.resolve().then(() => this._emitHistoryChange());
+        }
+        clearTimeout(history.timer);
+        history.timer = setTimeout(() => this._commitHistory(), history.coalesce);
+    }
+
+    _hasPendingHistory() {
+        const pending = this.history.pending;
+        return !!pending && JSON.stringify(pending) !== JSON.stringify(this._historySnapshot());
+    }
+
+    _commitHistory() {
+        const history = this.history;
+        clearTimeout(history.timer);
+        history.timer = null;
+        if (!history.pending || this.batch) return;
+
+        // Changes that cancel each other out leave no entry
+        if (this._hasPendingHistory()) {
+            history.past.push(history.pending);
+            if (history.past.length > history.limit) {
+                history.past.shift();
+            }
+            history.future = [];
         }
+        // Also emitted for a cancelled-out entry, whose pending change made canUndo() true
+        history.pending = null;
+        this._emitHistoryChange();
+    }
+
+    _emitHistoryChange() {
+        if (!this.history) return;
+
+        this.emit('historychange', {
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            undoSize: this.history.past.length,
+            redoSize: this.history.future.length
+        });
     }
 
     _setupPersistenceDebounce() {
         let persistTimeout;
         this._debouncedPersist = () => {
+            // Batches persist once, when they end
+            if (this.batch) {
+                this.batch.persist = true;
+                return;
+            }
             clearTimeout(persistTimeout);
             persistTimeout = setTimeout(() => {
                 this.persist();
@@ -282,25 +878,95 @@ class StateManager {
         }
     }
 
+    // layerOrder lists every known overlay from back to front.
+    // Unknown ids are dropped; overlays missing from the given order are kept behind it.
+    _normalizeLayerOrder(order) {
+        const ordered = [];
+        order.forEach(id => {
+            if (this.overlayStates[id] && !ordered.includes(id)) {
+                ordered.push(id);
+            }
+        });
+
+        const missing = [...this.layerOrder, ...Object.keys(this.overlayStates)]
+            .filter((id, index, all) => all.indexOf(id) === index && this.overlayStates[id] && !ordered.includes(id));
+
+        return [...missing, ...ordered];
+    }
+
+    _emitBaseChange(baseId, previousBaseId) {
+        this._emitStateEvent('basechange', 'basechange', {
+            baseId,
+            previousBaseId
+        });
+        this._emitChange();
+    }
+
     _emitOverlayChange(id, previousState) {
-        this.emit('overlaychange', {
+        this._emitStateEvent('overlaychange', `overlaychange:${id}`, {
             id,
             visible: this.overlayStates[id].visible,
             opacity: this.overlayStates[id].opacity,
             previousVisible: previousState.visible,
             previousOpacity: previousState.opacity
         });
-        this.emit('change', this.getAll());
+        this._emitChange();
     }
 
     _emitGroupChange(groupId) {
-        const groupOverlays = this.config.overlays.filter(o => o.group === groupId);
-        this.emit('overlaygroupchange', {
+        this._emitStateEvent('overlaygroupchange', `overlaygroupchange:${groupId}`, {
             groupId,
             visible: this.groupStates[groupId].visible,
             opacity: this.groupStates[groupId].opacity,
-            overlays: groupOverlays.map(o => o.id)
+            overlays: this.getGroupOverlayIds(groupId)
         });
+        this._emitChange();
+    }
+
+    // In a batch, events for the same subject collapse into one that keeps the
+    // first previous* values; events without a net change are dropped at the end
+    _emitStateEvent(event, key, data) {
+        if (!this.batch) {
+            this.emit(event, data);
+            return;
+        }
+
+        const queued = this.batch.events.get(key);
+        if (!queued) {
+            this.batch.events.set(key, { event, data });
+            return;
+        }
+
+        const previous = {};
+        Object.keys(data).filter(field => /^previous/.test(field)).forEach(field => {
+            previous[field] = queued.data[field];
+        });
+        queued.data = { ...data, ...previous };
+    }
+
+    _emitChange() {
+        if (this.batch) {
+            this.batch.changed = true;
+            return;
+        }
         this.emit('change', this.getAll());
     }
-}
\ No newline at end of file
+
+    _isNetChange(event, data) {
+        switch (event) {
+            case 'basechange': return data.baseId !== data.previousBaseId;
+            case 'overlaychange': return data.visible !== data.previousVisible || data.opacity !== data.previousOpacity;
+            case 'viewportchange': return JSON.stringify(data.viewport) !== JSON.stringify(data.previousViewport);
+            default: return true;
+        }
+    }
+}
+
+// Persistence policy fields mapped to their state keys; overlay fields apply per overlay
+StateManager.PERSISTED_FIELDS = {
+    base: 'baseId',
+    groups: 'groups',
+    layerOrder: 'layerOrder',
+    viewport: 'viewport'
+};
+StateManager.OVERLAY_FIELDS = ['visible', 'opacity'];
@@ -0,0 +1,104 @@
+/**
+ * StateSync - Shares state messages between tabs of the same origin
+ *
+ * Uses BroadcastChannel, or `storage` events on a localStorage key where BroadcastChannel
+ * is unavailable. Messages are never delivered back to the sender.
+ */
+class StateSync {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.channel='layers-control'] - Channel name; controls using the same name stay in sync
+     * @param {'auto'|'broadcast'|'storage'} [options.transport='auto'] - Force a transport; 'auto' prefers BroadcastChannel
+     */
+    constructor(options = {}) {
+        this.channelName = options.channel || 'layers-control';
+        this.storageKey = `${this.channelName}.sync`;
+        this.handlers = [];
+        this.channel = null;
+
+        this._onMessage = this._onMessage.bind(this);
+        this._onStorage = this._onStorage.bind(this);
+
+        const transport = options.transport || 'auto';
+        if (transport !== 'storage' && typeof BroadcastChannel !== 'undefined') {
+            this.transport = 'broadcast';
+            this.channel = new BroadcastChannel(this.channelName);
+            this.channel.addEventListener('message', this._onMessage);
+        } else {
+            this.transport = 'storage';
+            window.addEventListener('storage', this._onStorage);
+        }
+    }
+
+    /**
+     * Send a message to the other tabs
+     * @param {Object} message - Structured-cloneable (and JSON-serializable for the storage transport)
+     * @returns {boolean} False if the message could not be sent
+     */
+    post(message) {
+        try {
+            if (this.channel) {
+                this.channel.postMessage(message);
+            } else {
+                // A changing stamp makes repeated identical messages fire the storage event
+                localStorage.setItem(this.storageKey, JSON.stringify({ message, stamp: `${Date.now()}-${Math.random()}` }));
+            }
+            return true;
+        } catch (e) {
+            console.warn('Failed to send state to other tabs:', e);
+            return false;
+        }
+    }
+
+    /**
+     * @param {Function} handler - Receives each message from other tabs
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(handler) {
+        this.handlers.push(handler);
+        return () => {
+            this.handlers = this.handlers.filter(h => h !== handler);
+        };
+    }
+
+    /**
+     * Stop listening and release the channel
+     */
+    close() {
+        if (this.channel) {
+            this.channel.removeEventListener('message', this._onMessage);
+            this.channel.close();
+            this.channel = null;
+        } else {
+            window.removeEventListener('storage', this._onStorage);
+        }
+        this.handlers = [];
+    }
+
+    // Private methods
+    _onMessage(event) {
+        this._dispatch(event.data);
+    }
+
+    _onStorage(event) {
+        if (event.key !== this.storageKey || !event.newValue) return;
+
+        try {
+            this._dispatch(JSON.parse(event.newValue).message);
+        } catch (e) {
+            console.warn('Failed to read state from another tab:', e);
+        }
+    }
+
+    _dispatch(message) {
+        if (!message) return;
+
+        this.handlers.slice().forEach(handler => {
+            try {
+                handler(message);
+            } catch (error) {
+                console.error('Sync handler error:', error);
+            }
+        });
+    }
+}
@@ -0,0 +1,134 @@
+/**
+ * StorageAdapters - Storage backends for persisted control state
+ *
+ * An adapter implements get(key), set(key, value) and remove(key). Values are plain
+ * state objects; any method may return its result directly or as a Promise.
+ */
+class StorageAdapters {
+    /**
+     * Resolve the `persist.storage` option to an adapter
+     * @param {string|Object} [storage='localStorage'] - 'localStorage', 'sessionStorage', 'indexedDB', 'memory' or a custom adapter
+     * @returns {Object|null} The adapter, or null when the option is not recognized
+     */
+    static create(storage = 'localStorage') {
+        if (storage && typeof storage === 'object') {
+            const valid = ['get', 'set', 'remove'].every(method => typeof storage[method] === 'function');
+            return valid ? storage : null;
+        }
+
+        switch (storage) {
+            case 'localStorage':
+            case 'sessionStorage':
+                return StorageAdapters.webStorage(storage);
+            case 'indexedDB':
+                return StorageAdapters.indexedDB();
+            case 'memory':
+                return StorageAdapters.memory();
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Synchronous adapter for window.localStorage or window.sessionStorage, storing JSON
+     * @param {'localStorage'|'sessionStorage'} [type='localStorage']
+     * @returns {Object}
+     */
+    static webStorage(type = 'localStorage') {
+        // Resolved on use: accessing the storage throws in some sandboxed contexts
+        const storage = () => window[type];
+
+        return {
+            get: key => {
+                const stored = storage().getItem(key);
+                return stored ? JSON.parse(stored) : null;
+            },
+            set: (key, value) => {
+                storage().setItem(key, JSON.stringify(value));
+            },
+            remove: key => {
+                storage().removeItem(key);
+            }
+        };
+    }
+
+    /**
+     * Synchronous adapter keeping state for the lifetime of the page (tests, embedded maps)
+     * @returns {Object}
+     */
+    static memory() {
+        const values = new Map();
+
+        return {
+            get: key => (values.has(key) ? JSON.parse(values.get(key)) : null),
+            set: (key, value) => {
+                values.set(key, JSON.stringify(value));
+            },
+            remove: key => {
+                values.delete(key);
+            }
+        };
+    }
+
+    /**
+     * Asynchronous adapter storing state objects in an IndexedDB object store
+     * @param {Object} [options]
+     * @param {string} [options.database='layersControl'] - Database name
+     * @param {string} [options.store='state'] - Object store name
+     * @returns {Object}
+     */
+    static indexedDB(options = {}) {
+        const database = options.database || 'layersControl';
+        const storeName = options.store || 'state';
+        let opening = null;
+
+        // Opens the current version; a database without our store (e.g. shared with other
+        // code or another store name) is reopened one version up to create it
+        const openVersion = version => new Promise((resolve, reject) => {
+            const request = version ? window.indexedDB.open(database, version) : window.indexedDB.open(database);
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(storeName)) {
+                    request.result.createObjectStore(storeName);
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(storeName)) {
+                    db.close();
+                    openVersion(db.version + 1).then(resolve, reject);
+                    return;
+                }
+                // Let other connections upgrade; the next call reopens
+                db.onversionchange = () => {
+                    db.close();
+                    opening = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+
+        const open = () => {
+            if (!opening) {
+                opening = openVersion();
+                // A failed open is retried on the next call
+                opening.catch(() => {
+                    opening = null;
+                });
+            }
+            return opening;
+        };
+
+        const run = (mode, operation) => open().then(db => new Promise((resolve, reject) => {
+            const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }));
+
+        return {
+            get: key => run('readonly', store => store.get(key)).then(value => (value === undefined ? null : value)),
+            set: (key, value) => run('readwrite', store => store.put(value, key)).then(() => undefined),
+            remove: key => run('readwrite', store => store.delete(key)).then(() => undefined)
+        };
+    }
+}
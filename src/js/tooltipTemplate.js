@@ -0,0 +1,229 @@
+/**
+ * TooltipTemplate - Renders tooltip configs to HTML with escaping and named formatters
+ */
+class TooltipTemplate {
+    /**
+     * @param {Object} options
+     * @param {Object<string, Function>} [options.formatters] - Custom formatters by name: (value, options, object, locale) => string
+     * @param {string|Array<string>} [options.locale] - Locale for built-in number/date formatters (defaults to the browser locale)
+     */
+    constructor(options = {}) {
+        this.locale = options.locale;
+        this.formatters = {
+            ...TooltipTemplate.builtInFormatters(),
+            ...(options.formatters || {})
+        };
+    }
+
+    /**
+     * Register (or replace) a named formatter
+     * @param {string} name - Formatter name used in `format` or `{{path|name}}`
+     * @param {Function} formatter - (value, options, object, locale) => string
+     */
+    registerFormatter(name, formatter) {
+        if (!name || typeof formatter !== 'function') {
+            throw new Error('Formatter requires a name and a function');
+        }
+        this.formatters[name] = formatter;
+    }
+
+    /**
+     * Render a tooltip config for a picked object
+     * @param {string|Object} config - Property path, or { title, fields, template, className, empty, hideEmpty }
+     * @param {Object} object - Picked object
+     * @returns {string} Escaped HTML
+     */
+    render(config, object) {
+        if (typeof config === 'string') {
+            return `<div class="tooltip-content">${this._renderValue(object, { property: config, empty: 'No data' })}</div>`;
+        }
+
+        if (!config || typeof config !== 'object') {
+            return `<div class="tooltip-content">${this._renderValue(object, { property: 'name', empty: 'No data' })}</div>`;
+        }
+
+        let html = `<div class="${this._classNames('tooltip-content', config.className)}">`;
+
+        if (config.title) {
+            const title = typeof config.title === 'string' ? { property: config.title } : config.title;
+            html += `<div class="${this._classNames('tooltip-title', title.className)}">${this._renderValue(object, title, config)}</div>`;
+        }
+
+        if (config.template) {
+            html += `<div class="tooltip-body">${this.renderTemplate(config.template, object, config)}</div>`;
+        }
+
+        if (Array.isArray(config.fields)) {
+            html += '<div class="tooltip-fields">';
+            config.fields.forEach(fieldConfig => {
+                const field = typeof fieldConfig === 'string' ? { property: fieldConfig, label: fieldConfig } : fieldConfig;
+                if (!field || !field.property || !this._isFieldShown(field, object, config)) return;
+
+                const label = field.label !== undefined ? field.label : field.property;
+                const value = this._renderValue(object, field, config);
+                html += `<div class="${this._classNames('tooltip-field', field.className)}">` +
+                    `<strong>${TooltipTemplate.escapeHtml(label)}:</strong> ${value}</div>`;
+            });
+            html += '</div>';
+        }
+
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Render a string template such as "{{name}} ({{population|number:0}})"
+     * @param {string} template - Text with {{path}} or {{path|formatter:arg}} placeholders
+     * @param {Object} object - Picked object
+     * @param {Object} [config] - Tooltip config, for `empty` defaults
+     * @returns {string} Escaped HTML
+     */
+    renderTemplate(template, object, config = {}) {
+        return String(template).split(/(\{\{[^}]+\}\})/).map(part => {
+            const match = part.match(/^\{\{\s*([^|}\s]+)\s*(?:\|\s*([\w-]+)(?::([^}]*))?)?\s*\}\}$/);
+            if (!match) {
+                return TooltipTemplate.escapeHtml(part);
+            }
+            const [, property, format, arg] = match;
+            return this._renderValue(object, {
+                property,
+                format,
+                formatOptions: arg !== undefined ? arg.trim() : undefined
+            }, config);
+        }).join('');
+    }
+
+    /**
+     * Resolve a dot-separated property path
+     * @param {Object} object
+     * @param {string} propertyPath - e.g. "properties.name"
+     * @returns {*} Raw value or undefined
+     */
+    getValue(object, propertyPath) {
+        if (!propertyPath) return undefined;
+
+        let value = object;
+        for (const part of String(propertyPath).split('.')) {
+            if (value && typeof value === 'object' && part in value) {
+                value = value[part];
+            } else {
+                return undefined;
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Escape text for safe insertion into HTML
+     * @param {*} value
+     * @returns {string}
+     */
+    static escapeHtml(value) {
+        if (value === null || value === undefined) return '';
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Built-in formatters. Each accepts an options object or a shorthand argument.
+     * @returns {Object<string, Function>}
+     */
+    static builtInFormatters() {
+        const toNumber = (value) => (typeof value === 'number' ? value : parseFloat(value));
+        const decimalsOptions = (options) => {
+            if (options === undefined || options === '') return {};
+            if (typeof options === 'object') {
+                const { decimals: count, ...intlOptions } = options;
+                return count === undefined ? intlOptions : { ...intlOptions, ...decimalsOptions(count) };
+            }
+            const decimals = parseInt(options, 10);
+            return isNaN(decimals) ? {} : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+        };
+
+        return {
+            number(value, options, object, locale) {
+                const number = toNumber(value);
+                if (isNaN(number)) return String(value);
+                return new Intl.NumberFormat(locale, decimalsOptions(options)).format(number);
+            },
+            percent(value, options, object, locale) {
+                const number = toNumber(value);
+                if (isNaN(number)) return String(value);
+                return new Intl.NumberFormat(locale, { style: 'percent', ...decimalsOptions(options) }).format(number);
+            },
+            date(value, options, object, locale) {
+                const date = value instanceof Date ? value : new Date(value);
+                if (isNaN(date.getTime())) return String(value);
+                if (options === 'datetime') return date.toLocaleString(locale);
+                if (options === 'time') return date.toLocaleTimeString(locale);
+                if (options && typeof options === 'object') return new Intl.DateTimeFormat(locale, options).format(date);
+                return date.toLocaleDateString(locale);
+            },
+            unit(value, options, object, locale) {
+                const number = toNumber(value);
+                const config = typeof options === 'object' ? options : { unit: options };
+                const { unit, ...numberOptions } = config || {};
+                const formatted = isNaN(number) ? String(value) : new Intl.NumberFormat(locale, decimalsOptions(numberOptions)).format(number);
+                return unit ? `${formatted} ${unit}` : formatted;
+            },
+            currency(value, options, object, locale) {
+                const number = toNumber(value);
+                if (isNaN(number)) return String(value);
+                const config = typeof options === 'object' ? options : { currency: options || 'USD' };
+                return new Intl.NumberFormat(locale, { style: 'currency', currency: 'USD', ...config }).format(number);
+            }
+        };
+    }
+
+    // Private methods
+    _renderValue(object, field, config = {}) {
+        const value = this.getValue(object, field.property);
+
+        if (this._isEmpty(value)) {
+            const empty = field.empty !== undefined ? field.empty : (config.empty !== undefined ? config.empty : '');
+            return TooltipTemplate.escapeHtml(empty);
+        }
+
+        let output = value;
+        if (field.format) {
+            const formatter = typeof field.format === 'function' ? field.format : this.formatters[field.format];
+            if (formatter) {
+                try {
+                    output = formatter(value, field.formatOptions, object, this.locale);
+                } catch (error) {
+                    console.warn(`Tooltip formatter '${field.format}' failed:`, error);
+                }
+            } else {
+                console.warn(`Unknown tooltip formatter '${field.format}'`);
+            }
+        }
+
+        // Trusted markup is an explicit opt-in per field
+        return field.html === true ? String(output) : TooltipTemplate.escapeHtml(output);
+    }
+
+    _isFieldShown(field, object, config) {
+        if (field.when !== undefined) {
+            const shown = typeof field.when === 'function' ?
+                field.when(this.getValue(object, field.property), object) :
+                !this._isEmpty(this.getValue(object, field.when));
+            if (!shown) return false;
+        }
+
+        const hideEmpty = field.hideEmpty !== undefined ? field.hideEmpty : config.hideEmpty;
+        return !(hideEmpty && this._isEmpty(this.getValue(object, field.property)));
+    }
+
+    _isEmpty(value) {
+        return value === null || value === undefined || value === '';
+    }
+
+    _classNames(base, extra) {
+        const safe = extra ? String(extra).replace(/[^\w\s-]/g, '').trim() : '';
+        return safe ? `${base} ${safe}` : base;
+    }
+}
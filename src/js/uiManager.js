@@ -11,29 +11,69 @@ class UIManager {
         this.map = null;
         this.container = null;
         this.deckOverlay = null;
+        this.pendingStyleSwitch = null; // { baseId, promise, handleStyleLoad, handleError, cancel } while setStyle is loading
         
         // UI elements
         this.toggle = null;
         this.panel = null;
         this.isOpen = false;
+        this.draggedItem = null;
         
         // Overlay management - MATCH OLD PATTERN
         this.deckLayers = new Map(); // Store individual layers by layer ID (not overlay ID)
         this.overlayToLayerIds = new Map(); // Track which layer IDs belong to each overlay
+        this.overlayToMapLayerIds = new Map(); // overlayId -> { layerIds, sourceIds } of native MapLibre layers
         this.loadingStates = new Map();
         this.errorStates = new Map();
         this.zoomFilteredOverlays = new Set();
         
         // New overlay cache system (per-overlay caching)
         this.overlayCache = new Map(); // overlayId -> value
+        this.renderOnClickResults = new Map(); // overlayId -> last { deckLayers } from renderOnClick
+        this.renderOnClickLoading = new Map(); // overlayId -> pending renderOnClick promise
+        this.renderOnClickControllers = new Map(); // overlayId -> AbortController of the pending call
+        this.viewportReloadTimers = new Map(); // overlayId -> debounce timeout for reloadOnMove
+        this.pendingSourceLoads = new Map(); // sourceId -> overlayId until the source reports loaded
+        
+        // In-flight work per overlay; a newer run or deactivation makes older ones stale
+        this.activationTasks = new Map(); // overlayId -> { controller, signal } of the running _activateOverlay
+        this.callbackTasks = new Map(); // overlayId -> { controller, signal } of the pending onChecked/onUnchecked
+        
+        // Radio button names and element ids, unique per control so several controls can share a page
+        this.radioPrefix = `layers-control-${Math.random().toString(36).slice(2, 8)}`;
+        
+        // Batches (LayersControl.batch): one deck update once the changes made inside have settled
+        this.batchDepth = 0;
+        this.batchPromises = [];
+        this.deckUpdatePending = false;
+        
+        // Optional scenes section, backed by the SceneManager of LayersControl
+        this.sceneManager = null;
+        this.scenesList = null;
+        
+        // Click selection: { overlayId, layerId, index, object, coordinate } and its sticky popup
+        this.selection = null;
+        this.selectionPopup = null;
+        
+        // Tooltip rendering (escaping + named formatters)
+        this.tooltipTemplate = new TooltipTemplate({
+            formatters: options.formatters,
+            locale: options.locale
+        });
         
         // Bind methods
         this._handleToggleClick = this._handleToggleClick.bind(this);
         this._handleDocumentClick = this._handleDocumentClick.bind(this);
         this._onZoomEnd = this._onZoomEnd.bind(this);
+        this._onMoveEnd = this._onMoveEnd.bind(this);
+        this._onSourceData = this._onSourceData.bind(this);
+        this._renderScenesList = this._renderScenesList.bind(this);
     }
 
     setMap(map) {
+        this._cancelPendingStyleSwitch();
+        this._closeSelectionPopup();
+        this._detachMapEventListeners();
         this.map = map;
         this._initializeDeckOverlay();
         this._attachMapEventListeners();
@@ -45,7 +85,8 @@ class UIManager {
                 interleaved: true,
                 pickingRadius: 10,
                 controller: false,
-                getTooltip: this._getTooltip.bind(this)
+                getTooltip: this._getTooltip.bind(this),
+                onClick: this._handleDeckClick.bind(this)
             });
             this.map.addControl(this.deckOverlay);
         }
@@ -54,16 +95,56 @@ class UIManager {
     _attachMapEventListeners() {
         if (!this.map) return;
         this.map.on('zoomend', this._onZoomEnd);
+        this.map.on('moveend', this._onMoveEnd);
+        this.map.on('sourcedata', this._onSourceData);
+    }
+
+    // Uses the handlers bound in the constructor, so the previous map stops calling this control
+    _detachMapEventListeners() {
+        if (!this.map) return;
+        this.map.off('zoomend', this._onZoomEnd);
+        this.map.off('moveend', this._onMoveEnd);
+        this.map.off('sourcedata', this._onSourceData);
+        this.pendingSourceLoads.clear();
+        this.viewportReloadTimers.forEach(timer => clearTimeout(timer));
+        this.viewportReloadTimers.clear();
     }
 
     _onZoomEnd() {
         this.updateAllZoomFiltering();
     }
 
+    _onMoveEnd() {
+        this.options.overlays.forEach(overlay => {
+            if (!this._getReloadOnMoveConfig(overlay)) return;
+            if (!this.stateManager.get('overlays')[overlay.id]?.visible) return;
+            this._scheduleViewportReload(overlay);
+        });
+    }
+
+    // Reports the first complete load of each source added for an overlay
+    _onSourceData(event) {
+        if (!event || !event.sourceId || !event.isSourceLoaded) return;
+        
+        const overlayId = this.pendingSourceLoads.get(event.sourceId);
+        if (overlayId === undefined) return;
+        
+        this.pendingSourceLoads.delete(event.sourceId);
+        this.stateManager.emit('sourceloaded', { id: overlayId, sourceId: event.sourceId });
+    }
+
     setContainer(container) {
         this.container = container;
     }
 
+    setSceneManager(sceneManager) {
+        this.stateManager.off('sceneschange', this._renderScenesList);
+        this.sceneManager = sceneManager;
+        if (sceneManager) {
+            this.stateManager.on('sceneschange', this._renderScenesList);
+        }
+    }
+
     render() {
         if (!this.container) return;
         
@@ -104,6 +185,12 @@ class UIManager {
             const overlaysSection = this._createOverlaysSection();
             this.panel.appendChild(overlaysSection);
         }
+        
+        // Render scenes section (scenes: { panel: false } keeps it API only)
+        this.scenesList = null;
+        if (this.sceneManager && this.options.scenes?.panel !== false) {
+            this.panel.appendChild(this._createScenesSection());
+        }
     }
 
     _createBaseSection() {
@@ -133,7 +220,8 @@ class UIManager {
             radio.checked = baseStyle.id === currentBase;
             radio.addEventListener('change', () => {
                 if (radio.checked) {
-                    this.handleBaseChange(baseStyle.id);
+                    // Failures are reported through styleerror/error events
+                    this.handleBaseChange(baseStyle.id).catch(() => {});
                 }
             });
             
@@ -150,6 +238,134 @@ class UIManager {
         return section;
     }
 
+    _createScenesSection() {
+        const section = document.createElement('div');
+        section.className = 'layers-control__scenes-section';
+        
+        const title = document.createElement('h3');
+        title.className = 'layers-control__section-title';
+        title.textContent = this.options.i18n?.scenesHeader || 'Scenes';
+        
+        // Saving under an existing name updates that scene
+        const form = document.createElement('form');
+        form.className = 'layers-control__scene-form';
+        
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'layers-control__scene-input';
+        input.placeholder = this.options.i18n?.sceneNamePlaceholder || 'Scene name';
+        input.setAttribute('aria-label', input.placeholder);
+        
+        const saveButton = document.createElement('button');
+        saveButton.type = 'submit';
+        saveButton.className = 'layers-control__scene-save';
+        saveButton.textContent = this.options.i18n?.saveScene || 'Save';
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.sceneManager.save(input.value)) {
+                input.value = '';
+            }
+        });
+        
+        form.appendChild(input);
+        form.appendChild(saveButton);
+        
+        this.scenesList = document.createElement('div');
+        this.scenesList.className = 'layers-control__scenes-list';
+        this._renderScenesList();
+        
+        section.appendChild(title);
+        section.appendChild(form);
+        section.appendChild(this.scenesList);
+        return section;
+    }
+
+    _renderScenesList() {
+        if (!this.scenesList || !this.sceneManager) return;
+        
+        this.scenesList.innerHTML = '';
+        this.sceneManager.list().forEach(scene => {
+            this.scenesList.appendChild(this._createSceneElement(scene));
+        });
+    }
+
+    _createSceneElement(scene) {
+        const item = document.createElement('div');
+        item.className = 'layers-control__scene-item';
+        item.dataset.sceneId = scene.id;
+        
+        const applyButton = document.createElement('button');
+        applyButton.type = 'button';
+        applyButton.className = 'layers-control__scene-apply';
+        applyButton.textContent = scene.name;
+        applyButton.addEventListener('click', () => {
+            this.sceneManager.apply(scene.id).catch(() => {});
+        });
+        
+        const renameButton = document.createElement('button');
+        renameButton.type = 'button';
+        renameButton.className = 'layers-control__scene-rename';
+        renameButton.textContent = '✎';
+        renameButton.setAttribute('aria-label', this._sceneLabel('renameScene', 'Rename scene {name}', scene));
+        renameButton.addEventListener('click', () => {
+            this._startSceneRename(item, applyButton, scene);
+        });
+        
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.className = 'layers-control__scene-delete';
+        deleteButton.textContent = '×';
+        deleteButton.setAttribute('aria-label', this._sceneLabel('deleteScene', 'Delete scene {name}', scene));
+        deleteButton.addEventListener('click', () => {
+            this.sceneManager.remove(scene.id);
+        });
+        
+        item.appendChild(applyButton);
+        item.appendChild(renameButton);
+        item.appendChild(deleteButton);
+        return item;
+    }
+
+    // i18n label with the scene name in place of {name}
+    _sceneLabel(key, fallback, scene) {
+        return (this.options.i18n?.[key] || fallback).replace('{name}', scene.name);
+    }
+
+    // Swaps the scene name for an input: Enter or blur commits, Escape cancels
+    _startSceneRename(item, applyButton, scene) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'layers-control__scene-input';
+        input.value = scene.name;
+        input.setAttribute('aria-label', this._sceneLabel('renameScene', 'Rename scene {name}', scene));
+        
+        let done = false;
+        const finish = (commit) => {
+            if (done) return;
+            done = true;
+            
+            // A successful rename re-renders the list through sceneschange
+            if (!commit || input.value.trim() === scene.name || !this.sceneManager.rename(scene.id, input.value)) {
+                item.replaceChild(applyButton, input);
+            }
+        };
+        
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+        
+        item.replaceChild(input, applyButton);
+        input.focus();
+        input.select();
+    }
+
     _createOverlaysSection() {
         const section = document.createElement('div');
         section.className = 'layers-control__overlays-section';
@@ -161,24 +377,38 @@ class UIManager {
         const list = document.createElement('div');
         list.className = 'layers-control__overlays-list';
         
-        // Group overlays
-        const groups = new Map();
+        // Group overlays - listed front to back, following layerOrder. Nested groups
+        // are placed where their front-most overlay is; groups without overlays are not shown.
+        const groups = new Map(); // groupId -> direct member overlays
+        const childGroups = new Map(); // parent groupId (null for top level) -> child groupIds
         const ungroupedOverlays = [];
         
-        this.options.overlays.forEach(overlay => {
-            if (overlay.group) {
-                if (!groups.has(overlay.group)) {
-                    groups.set(overlay.group, []);
-                }
-                groups.get(overlay.group).push(overlay);
-            } else {
+        this._getOverlaysInPanelOrder().forEach(overlay => {
+            if (!overlay.group) {
                 ungroupedOverlays.push(overlay);
+                return;
             }
+            
+            if (!groups.has(overlay.group)) {
+                groups.set(overlay.group, []);
+            }
+            groups.get(overlay.group).push(overlay);
+            
+            const chain = this.stateManager.getGroupChain(overlay.group);
+            chain.forEach((groupId, index) => {
+                const parentId = chain[index + 1] || null;
+                if (!childGroups.has(parentId)) {
+                    childGroups.set(parentId, []);
+                }
+                if (!childGroups.get(parentId).includes(groupId)) {
+                    childGroups.get(parentId).push(groupId);
+                }
+            });
         });
         
         // Render groups
-        groups.forEach((overlays, groupId) => {
-            const groupElement = this._createGroupElement(groupId, overlays);
+        (childGroups.get(null) || []).forEach(groupId => {
+            const groupElement = this._createGroupElement(groupId, groups, childGroups);
             list.appendChild(groupElement);
         });
         
@@ -193,42 +423,87 @@ class UIManager {
         return section;
     }
 
-    _createGroupElement(groupId, overlays) {
+    // groups: groupId -> direct member overlays; childGroups: groupId -> nested groupIds
+    _createGroupElement(groupId, groups, childGroups) {
+        const definition = this.stateManager.getGroupDefinition(groupId);
+        const groupState = this.stateManager.get('groups')[groupId];
+        const expanded = groupState?.expanded !== false;
+        
         const group = document.createElement('div');
         group.className = 'layers-control__group';
+        group.dataset.groupId = groupId;
+        group.classList.toggle('layers-control__group--collapsed', !expanded);
         
         const header = document.createElement('div');
         header.className = 'layers-control__group-header';
         
+        const expander = document.createElement('button');
+        expander.type = 'button';
+        expander.className = 'layers-control__group-expander';
+        expander.addEventListener('click', () => {
+            this.handleToggleGroupExpanded(groupId);
+        });
+        
         const toggle = document.createElement('label');
         toggle.className = 'layers-control__group-toggle';
+        if (definition?.description) {
+            toggle.title = definition.description;
+        }
         
+        if (definition?.type === 'radio') {
+            group.classList.add('layers-control__group--radio');
+        }
+        
+        // Checked when all overlays in the group (and nested groups) are visible,
+        // indeterminate when only some are; see _updateGroupUI
         const checkbox = document.createElement('input');
         checkbox.type = 'checkbox';
         checkbox.value = groupId;
-        const groupState = this.stateManager.get('groups')[groupId];
-        checkbox.checked = groupState?.visible || false;
+        checkbox.dataset.groupId = groupId;
         checkbox.addEventListener('change', () => {
-            this.handleToggleGroup(groupId);
+            this.handleToggleGroup(groupId).catch(() => {});
         });
         
         const label = document.createElement('span');
-        label.textContent = groupId;
+        label.className = 'layers-control__group-label';
+        label.textContent = definition?.label || groupId;
         
         toggle.appendChild(checkbox);
         toggle.appendChild(label);
+        header.appendChild(expander);
         header.appendChild(toggle);
         
+        // Group opacity slider; multiplies the opacity of the overlays in the group
+        if (this.options.showOpacity && definition?.opacityControls) {
+            const slider = this._createOpacitySlider(groupId, groupState?.opacity ?? 1.0, true);
+            slider.classList.add('layers-control__group-opacity');
+            header.appendChild(slider);
+        }
+        
         const overlaysContainer = document.createElement('div');
         overlaysContainer.className = 'layers-control__group-overlays';
+        overlaysContainer.id = `${this.radioPrefix}-group-${groupId}`;
+        expander.setAttribute('aria-controls', overlaysContainer.id);
+        
+        if (definition?.description) {
+            const description = document.createElement('p');
+            description.className = 'layers-control__group-description';
+            description.textContent = definition.description;
+            overlaysContainer.appendChild(description);
+        }
         
-        overlays.forEach(overlay => {
+        (groups.get(groupId) || []).forEach(overlay => {
             const overlayElement = this._createOverlayElement(overlay);
             overlaysContainer.appendChild(overlayElement);
         });
         
+        (childGroups.get(groupId) || []).forEach(childId => {
+            overlaysContainer.appendChild(this._createGroupElement(childId, groups, childGroups));
+        });
+        
         group.appendChild(header);
         group.appendChild(overlaysContainer);
+        this._applyGroupElementState(group, groupId);
         return group;
     }
 
@@ -240,13 +515,18 @@ class UIManager {
         const toggle = document.createElement('label');
         toggle.className = 'layers-control__overlay-toggle';
         
+        // Members of a radio group get radio buttons; they are unchecked through the group checkbox
+        const exclusiveGroup = this.stateManager.getExclusiveGroup(overlay.id);
         const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
+        checkbox.type = exclusiveGroup ? 'radio' : 'checkbox';
+        if (exclusiveGroup) {
+            checkbox.name = `${this.radioPrefix}-${exclusiveGroup}`;
+        }
         checkbox.value = overlay.id;
         const overlayState = this.stateManager.get('overlays')[overlay.id];
         checkbox.checked = overlayState?.visible || false;
         checkbox.addEventListener('change', () => {
-            this.handleToggleOverlay(overlay.id);
+            this.handleToggleOverlay(overlay.id).catch(() => {});
         });
         
         const label = document.createElement('span');
@@ -258,11 +538,22 @@ class UIManager {
         loading.textContent = '⟳';
         loading.style.display = 'none';
         
+        if (this.options.reorderable) {
+            toggle.appendChild(this._createDragHandle(item));
+        }
         toggle.appendChild(checkbox);
         toggle.appendChild(label);
         toggle.appendChild(loading);
         item.appendChild(toggle);
         
+        const hint = this._getRelationsHint(overlay);
+        if (hint) {
+            const hintElement = document.createElement('div');
+            hintElement.className = 'layers-control__overlay-hint';
+            hintElement.textContent = hint;
+            item.appendChild(hintElement);
+        }
+        
         // Add opacity slider if enabled
         if (this.options.showOpacity && overlay.opacityControls) {
             const slider = this._createOpacitySlider(overlay.id, overlayState?.opacity || 1.0);
@@ -272,7 +563,26 @@ class UIManager {
         return item;
     }
 
-    _createOpacitySlider(overlayId, currentOpacity) {
+    // "Requires: Roads · Conflicts with: Heat", from the overlay's requires and conflictsWith
+    _getRelationsHint(overlay) {
+        const labels = ids => ids.map(id => {
+            const related = this.options.overlays.find(o => o.id === id);
+            return related?.label || id;
+        }).join(', ');
+        
+        const parts = [];
+        const requirements = this._getRequirements(overlay.id);
+        const conflicts = this._getConflicts(overlay.id);
+        if (requirements.length > 0) {
+            parts.push(`${this.options.i18n?.requiresHint || 'Requires'}: ${labels(requirements)}`);
+        }
+        if (conflicts.length > 0) {
+            parts.push(`${this.options.i18n?.conflictsHint || 'Conflicts with'}: ${labels(conflicts)}`);
+        }
+        return parts.join(' · ');
+    }
+
+    _createOpacitySlider(id, currentOpacity, isGroup = false) {
         const sliderContainer = document.createElement('div');
         sliderContainer.className = 'layers-control__opacity-control';
         
@@ -291,7 +601,7 @@ class UIManager {
         slider.addEventListener('input', (e) => {
             const value = parseFloat(e.target.value);
             label.textContent = `${Math.round(value * 100)}%`;
-            this.handleOpacitySlider(overlayId, value, false);
+            this.handleOpacitySlider(id, value, isGroup);
         });
         
         sliderContainer.appendChild(slider);
@@ -299,6 +609,114 @@ class UIManager {
         return sliderContainer;
     }
 
+    // Overlays sorted for display: the front-most (last in layerOrder) first
+    _getOverlaysInPanelOrder() {
+        const layerOrder = this.stateManager.get('layerOrder');
+        return [...this.options.overlays].sort((a, b) => {
+            return layerOrder.indexOf(b.id) - layerOrder.indexOf(a.id);
+        });
+    }
+
+    // Layer Reordering (drag and drop + keyboard)
+    _createDragHandle(item) {
+        const handle = document.createElement('button');
+        handle.type = 'button';
+        handle.className = 'layers-control__drag-handle';
+        handle.textContent = '⋮⋮';
+        handle.title = this.options.i18n?.reorderHint || 'Drag or use arrow keys to reorder';
+        handle.setAttribute('aria-label', this.options.i18n?.reorderLayer || 'Reorder layer');
+        
+        // Only the handle starts a drag, so sliders and checkboxes keep working
+        const resetDraggable = () => {
+            if (this.draggedItem !== item) item.draggable = false;
+        };
+        handle.addEventListener('pointerdown', () => {
+            item.draggable = true;
+        });
+        handle.addEventListener('pointerup', resetDraggable);
+        handle.addEventListener('pointercancel', resetDraggable);
+        handle.addEventListener('click', (e) => {
+            e.preventDefault();
+        });
+        handle.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                e.preventDefault();
+                this._moveOverlayItem(item, e.key === 'ArrowUp' ? -1 : 1);
+                handle.focus();
+            }
+        });
+        
+        item.addEventListener('dragstart', (e) => {
+            this.draggedItem = item;
+            item.classList.add('layers-control__overlay-item--dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', item.dataset.overlayId);
+        });
+        item.addEventListener('dragover', (e) => {
+            const dragged = this.draggedItem;
+            // Items can only be reordered within their own list (group or ungrouped)
+            if (!dragged || dragged === item || dragged.parentElement !== item.parentElement) return;
+            
+            e.preventDefault();
+            const rect = item.getBoundingClientRect();
+            const insertAfter = e.clientY > rect.top + rect.height / 2;
+            item.parentElement.insertBefore(dragged, insertAfter ? item.nextSibling : item);
+        });
+        item.addEventListener('drop', (e) => {
+            e.preventDefault();
+        });
+        item.addEventListener('dragend', () => {
+            item.draggable = false;
+            item.classList.remove('layers-control__overlay-item--dragging');
+            if (this.draggedItem === item) {
+                this.draggedItem = null;
+                this._commitPanelOrder(item.parentElement);
+            }
+        });
+        
+        return handle;
+    }
+
+    _moveOverlayItem(item, direction) {
+        const siblings = this._getOverlayItems(item.parentElement);
+        const target = siblings[siblings.indexOf(item) + direction];
+        if (!target) return;
+        
+        item.parentElement.insertBefore(item, direction < 0 ? target : target.nextSibling);
+        this._commitPanelOrder(item.parentElement);
+    }
+
+    _getOverlayItems(list) {
+        return Array.from(list.children).filter(el => el.classList.contains('layers-control__overlay-item'));
+    }
+
+    // Write the order of one panel list back into layerOrder, keeping other overlays in place
+    _commitPanelOrder(list) {
+        if (!list) return;
+        
+        const layerOrder = this.stateManager.get('layerOrder');
+        const listedIds = this._getOverlayItems(list).map(el => el.dataset.overlayId);
+        const slots = listedIds
+            .map(id => layerOrder.indexOf(id))
+            .filter(index => index > -1)
+            .sort((a, b) => a - b);
+        
+        // Panel lists front first; layerOrder is back to front
+        const backToFront = [...listedIds].reverse().filter(id => layerOrder.includes(id));
+        slots.forEach((slot, i) => {
+            layerOrder[slot] = backToFront[i];
+        });
+        
+        this.stateManager.reorderLayers(layerOrder);
+        this._updateDeckOverlay();
+    }
+
+    handleReorderOverlays(orderedIds) {
+        this.stateManager.reorderLayers(orderedIds);
+        this._updateDeckOverlay();
+        this._renderPanelContent();
+    }
+
     _setupEventDelegation() {
         // Document click handler for auto-close
         if (this.options.autoClose) {
@@ -323,82 +741,377 @@ class UIManager {
 
     // Event Handlers
     handleBaseChange(baseId) {
-        this.stateManager.setBase(baseId);
-        this._applyBaseToMap(baseId);
-        this._updateBaseUI();
+        const previousBaseId = this.stateManager.get('base');
+        
+        return this._applyGuarded('beforebasechange', { baseId, previousBaseId }, change => {
+            const baseStyle = this.options.baseStyles.find(base => base.id === change.baseId);
+            if (!baseStyle) {
+                console.warn(`Base layer '${change.baseId}' not found`);
+                this._updateBaseUI();
+                return false;
+            }
+            
+            // basechange is emitted once the new style has loaded
+            const waitForStyle = !!(this.map && baseStyle.style);
+            this.stateManager.setBase(baseStyle.id, { deferEvents: waitForStyle });
+            this._updateBaseUI();
+            if (!waitForStyle) return true;
+            
+            return this._applyBaseToMap(baseStyle.id).then(loaded => {
+                if (loaded) {
+                    this.stateManager._emitBaseChange(baseStyle.id, previousBaseId);
+                }
+                return loaded;
+            }, error => {
+                // The map keeps showing the previous style, so the state goes back to it
+                this.stateManager.setBase(previousBaseId, { deferEvents: true });
+                this._updateBaseUI();
+                throw error;
+            });
+        }, () => this._updateBaseUI());
     }
 
     handleToggleOverlay(overlayId) {
         const overlayState = this.stateManager.get('overlays')[overlayId];
-        const newVisibility = !overlayState?.visible;
+        return this.handleOverlayChange(overlayId, { visible: !overlayState?.visible }, { isUserInteraction: true });
+    }
+
+    // Visibility and/or opacity change for one overlay, subject to beforeoverlaychange handlers.
+    // options: { isUserInteraction, fireCallback } - callbacks fire for user interactions by default
+    handleOverlayChange(overlayId, changes, options = {}) {
+        const overlayState = this.stateManager.get('overlays')[overlayId];
+        if (!overlayState) return Promise.resolve(false);
+        
+        const payload = {
+            id: overlayId,
+            visible: changes.visible !== undefined ? changes.visible : overlayState.visible,
+            opacity: changes.opacity !== undefined ? changes.opacity : overlayState.opacity,
+            previousVisible: overlayState.visible,
+            previousOpacity: overlayState.opacity
+        };
+        
+        return this._applyGuarded('beforeoverlaychange', payload, change => {
+            const opacity = Math.max(0, Math.min(1, parseFloat(change.opacity)));
+            if (!isNaN(opacity) && opacity !== this.stateManager.get('overlays')[overlayId]?.opacity) {
+                this.stateManager.setOverlayOpacity(overlayId, opacity);
+                this._updateOverlayOpacity(overlayId);
+            }
+            
+            // Visibility is only (re)applied when requested or rewritten by a handler
+            let rendered = true;
+            if (changes.visible !== undefined || change.visible !== payload.visible) {
+                rendered = this._setOverlayVisibleWithRelations(overlayId, !!change.visible, options);
+            }
+            this._updateOverlayUI(overlayId);
+            return rendered;
+        }, () => this._updateOverlayUI(overlayId));
+    }
+
+    // Related overlays follow the change in one batch, so 'change' is emitted once: showing
+    // an overlay hides the rest of its radio group and its conflicts and shows what it requires;
+    // hiding it hides the overlays requiring it. They use the callback options of the change.
+    _setOverlayVisibleWithRelations(overlayId, visible, options) {
+        const overlayStates = this.stateManager.get('overlays');
+        const siblings = visible ? this._getExclusiveSiblings(overlayId).filter(id => overlayStates[id]?.visible) : [];
+        const related = this._getRelatedChanges(overlayId, visible);
+        if (siblings.length === 0 && related.length === 0) {
+            return this._setOverlayVisible(overlayId, visible, options);
+        }
+        
+        const [rendered, ...relatedChanges] = this._runBatched(() => {
+            this._hideExclusiveSiblings(overlayId, options);
+            return [
+                this._setOverlayVisible(overlayId, visible, options),
+                ...related.map(([id, show]) => this.handleOverlayChange(id, { visible: show }, options))
+            ];
+        });
+        
+        // Resolves with this overlay's result once the related overlays are rendered too
+        const settled = relatedChanges.map(change => change.catch(() => false));
+        return Promise.all([rendered, ...settled]).then(([result]) => result);
+    }
+
+    // Runs fn in a state and UI batch and returns its result. The batch ends as soon as the
+    // changes fn starts are applied (before* handlers can defer that), with one deck update
+    // and one 'change'; overlays still loading are not waited for.
+    _runBatched(fn) {
+        this.stateManager.beginBatch();
+        this.beginBatch();
+        const start = this.batchPromises.length;
+        
+        const endBatch = () => {
+            this.endBatch();
+            this.stateManager.endBatch();
+        };
+        
+        let result;
+        try {
+            result = fn();
+        } catch (error) {
+            endBatch();
+            throw error;
+        }
+        
+        if (this.batchPromises.length > start) {
+            this.settleBatch(start).then(endBatch);
+        } else {
+            endBatch();
+        }
+        return result;
+    }
+
+    // [overlayId, visible] pairs of related overlays whose visibility has to change
+    _getRelatedChanges(overlayId, visible) {
+        const overlayStates = this.stateManager.get('overlays');
+        const changes = new Map();
+        const isVisible = id => !!overlayStates[id]?.visible;
+        
+        if (visible) {
+            this._getConflicts(overlayId).filter(isVisible).forEach(id => changes.set(id, false));
+            this._getRequirements(overlayId).filter(id => !isVisible(id)).forEach(id => changes.set(id, true));
+        } else {
+            this._getDependents(overlayId).filter(isVisible).forEach(id => changes.set(id, false));
+        }
+        
+        changes.delete(overlayId);
+        return [...changes.entries()];
+    }
+
+    _getExclusiveSiblings(overlayId) {
+        const groupId = this.stateManager.getExclusiveGroup(overlayId);
+        if (!groupId) return [];
+        
+        return this.stateManager.getGroupOverlayIds(groupId).filter(id => id !== overlayId);
+    }
+
+    // Overlays named in `requires`; unknown ids are ignored
+    _getRequirements(overlayId) {
+        const overlay = this.options.overlays.find(o => o.id === overlayId);
+        const overlayStates = this.stateManager.get('overlays');
+        return (overlay?.requires || []).filter(id => overlayStates[id]);
+    }
+
+    _getDependents(overlayId) {
+        return this.options.overlays
+            .filter(overlay => overlay.requires?.includes(overlayId))
+            .map(overlay => overlay.id);
+    }
+
+    // conflictsWith works both ways
+    _getConflicts(overlayId) {
         const overlay = this.options.overlays.find(o => o.id === overlayId);
+        const overlayStates = this.stateManager.get('overlays');
+        const conflicts = [
+            ...(overlay?.conflictsWith || []),
+            ...this.options.overlays.filter(o => o.conflictsWith?.includes(overlayId)).map(o => o.id)
+        ];
+        return conflicts.filter((id, index) => overlayStates[id] && conflicts.indexOf(id) === index);
+    }
+
+    // Hides the other visible members of the overlay's radio group. Not subject to
+    // beforeoverlaychange, so a handler cannot leave two of them visible; their
+    // onUnchecked always fires.
+    _hideExclusiveSiblings(overlayId, options = {}) {
+        const overlayStates = this.stateManager.get('overlays');
+        this._getExclusiveSiblings(overlayId)
+            .filter(id => overlayStates[id]?.visible)
+            .forEach(id => this._hideForExclusivity(id, options));
+    }
+
+    _hideForExclusivity(overlayId, options = {}) {
+        this._setOverlayVisibleWithRelations(overlayId, false, { ...options, fireCallback: true });
+        this._updateOverlayUI(overlayId);
+    }
+
+    // Of the overlays in each radio group, keeps the visible one, else the first
+    _pickExclusive(overlayIds) {
+        const overlayStates = this.stateManager.get('overlays');
+        const picked = new Map(); // radio groupId -> overlayId
+        overlayIds.forEach(id => {
+            const groupId = this.stateManager.getExclusiveGroup(id);
+            if (groupId && (!picked.has(groupId) || (overlayStates[id]?.visible && !overlayStates[picked.get(groupId)]?.visible))) {
+                picked.set(groupId, id);
+            }
+        });
+        
+        return overlayIds.filter(id => {
+            const groupId = this.stateManager.getExclusiveGroup(id);
+            return !groupId || picked.get(groupId) === id;
+        });
+    }
+
+    // Returns the activation promise when shown on a map, true otherwise
+    _setOverlayVisible(overlayId, visible, options = {}) {
+        const overlay = this.options.overlays.find(o => o.id === overlayId);
+        const isUserInteraction = options.isUserInteraction === true;
+        const fireCallback = options.fireCallback !== undefined ? options.fireCallback : isUserInteraction;
         
-        this.stateManager.setOverlayVisibility(overlayId, newVisibility);
+        this.stateManager.setOverlayVisibility(overlayId, visible);
         
-        if (newVisibility) {
-            this._activateOverlay(overlayId, true);
+        let rendered = true;
+        if (visible) {
+            if (this.map) {
+                rendered = this._activateOverlay(overlayId, isUserInteraction);
+            }
             
             // Call onChecked callback if provided
-            if (overlay && typeof overlay.onChecked === 'function') {
-                this._callOverlayCallback(overlay.onChecked, overlayId, overlay, true);
+            if (fireCallback && overlay && typeof overlay.onChecked === 'function') {
+                this._callOverlayCallback(overlay.onChecked, overlayId, overlay, isUserInteraction);
             }
         } else {
             this._deactivateOverlay(overlayId);
             
             // Call onUnchecked callback if provided
-            if (overlay && typeof overlay.onUnchecked === 'function') {
-                this._callOverlayCallback(overlay.onUnchecked, overlayId, overlay, true);
+            if (fireCallback && overlay && typeof overlay.onUnchecked === 'function') {
+                this._callOverlayCallback(overlay.onUnchecked, overlayId, overlay, isUserInteraction);
             }
         }
-        
-        this._updateOverlayUI(overlayId);
+        return rendered;
     }
 
+    // Shows all overlays of the group unless all are visible already (the tri-state checkbox)
     handleToggleGroup(groupId) {
+        const visible = this.getGroupVisibility(groupId) !== 'all';
+        return this.handleGroupChange(groupId, { visible }, { isUserInteraction: true });
+    }
+
+    handleToggleGroupExpanded(groupId) {
         const groupState = this.stateManager.get('groups')[groupId];
-        const newVisibility = !groupState?.visible;
+        if (!groupState) return;
         
-        this.stateManager.setGroupVisibility(groupId, newVisibility);
+        this.stateManager.setGroupExpanded(groupId, groupState.expanded === false);
+        this._updateGroupUI(groupId);
+    }
+
+    // 'all', 'some' or 'none' of the overlays in the group and its nested groups are visible.
+    // A radio group counts as one overlay, visible when any of its overlays is.
+    getGroupVisibility(groupId) {
+        const overlayStates = this.stateManager.get('overlays');
+        const units = new Map(); // overlay id or radio group id -> visible
+        this.stateManager.getGroupOverlayIds(groupId).forEach(id => {
+            const unit = this.stateManager.getExclusiveGroup(id) || id;
+            units.set(unit, units.get(unit) || !!overlayStates[id]?.visible);
+        });
         
-        // Toggle all overlays in group
-        this.options.overlays
-            .filter(overlay => overlay.group === groupId)
-            .forEach(overlay => {
-                this.stateManager.setOverlayVisibility(overlay.id, newVisibility);
-                if (newVisibility) {
-                    this._activateOverlay(overlay.id, true);
-                    
-                    // Call onChecked callback if provided
-                    if (overlay && typeof overlay.onChecked === 'function') {
-                        this._callOverlayCallback(overlay.onChecked, overlay.id, overlay, true);
-                    }
-                } else {
-                    this._deactivateOverlay(overlay.id);
-                    
-                    // Call onUnchecked callback if provided
-                    if (overlay && typeof overlay.onUnchecked === 'function') {
-                        this._callOverlayCallback(overlay.onUnchecked, overlay.id, overlay, true);
-                    }
-                }
-                this._updateOverlayUI(overlay.id);
-            });
+        const visibleCount = [...units.values()].filter(Boolean).length;
+        if (visibleCount === 0) return 'none';
+        return visibleCount === units.size ? 'all' : 'some';
+    }
+
+    // Visibility and/or opacity change for a group, subject to beforegroupchange handlers.
+    // Member overlays (including those of nested groups) then go through handleOverlayChange,
+    // so beforeoverlaychange applies to each.
+    handleGroupChange(groupId, changes, options = {}) {
+        const groupState = this.stateManager.get('groups')[groupId];
+        const memberIds = this.stateManager.getGroupOverlayIds(groupId);
+        
+        const payload = {
+            groupId,
+            visible: changes.visible !== undefined ? changes.visible : !!groupState?.visible,
+            opacity: changes.opacity !== undefined ? changes.opacity : (groupState?.opacity ?? 1.0),
+            overlays: memberIds,
+            previousVisible: !!groupState?.visible,
+            previousOpacity: groupState?.opacity ?? 1.0
+        };
         
-        this._updateGroupUI(groupId);
+        return this._applyGuarded('beforegroupchange', payload, change => {
+            // Handlers may narrow the affected overlays, but not add foreign ones
+            const overlayIds = (Array.isArray(change.overlays) ? change.overlays : memberIds)
+                .filter(id => memberIds.includes(id));
+            
+            const opacity = Math.max(0, Math.min(1, parseFloat(change.opacity)));
+            if (!isNaN(opacity) && opacity !== groupState?.opacity) {
+                this.stateManager.setGroupOpacity(groupId, opacity);
+                // Group opacity multiplies the opacity of every overlay in the group
+                this._updateGroupOpacity(groupId);
+            }
+            
+            if (changes.visible === undefined && change.visible === payload.visible) {
+                this._updateGroupUI(groupId);
+                return;
+            }
+            
+            // options.members === false: only the group's own state (setState sets the members itself)
+            if (options.members === false) {
+                this.stateManager.setGroupVisibility(groupId, !!change.visible);
+                this._updateGroupUI(groupId);
+                return;
+            }
+            
+            // Toggle all overlays in group, with one 'change'; radio groups show one overlay
+            const overlayChanges = this._runBatched(() => {
+                this.stateManager.setGroupVisibility(groupId, !!change.visible);
+                this._updateGroupUI(groupId);
+                
+                const targetIds = change.visible ? this._pickExclusive(overlayIds) : overlayIds;
+                return targetIds.map(overlayId => {
+                    return this.handleOverlayChange(overlayId, { visible: !!change.visible }, options);
+                });
+            });
+            return Promise.all(overlayChanges).then(results => results.every(Boolean));
+        }, () => this._updateGroupUI(groupId));
     }
 
     handleOpacitySlider(id, value, isGroup) {
         if (isGroup) {
-            this.stateManager.setGroupOpacity(id, value);
-            // Apply to all overlays in group
-            this.options.overlays
-                .filter(overlay => overlay.group === id)
-                .forEach(overlay => {
-                    this._updateOverlayOpacity(overlay.id, value);
-                });
-        } else {
-            this.stateManager.setOverlayOpacity(id, value);
-            this._updateOverlayOpacity(id, value);
+            return this.handleGroupChange(id, { opacity: value });
         }
+        return this.handleOverlayChange(id, { opacity: value });
+    }
+
+    // Runs cancelable before* handlers, then applies the (possibly rewritten) payload.
+    // Without handlers the change is applied synchronously. Resolves false when cancelled
+    // or when apply reports false, true once apply (and any Promise it returns) has settled.
+    _applyGuarded(event, payload, apply, onCancel) {
+        if (!this.stateManager.hasListeners(event)) {
+            return Promise.resolve(apply(payload)).then(result => result !== false);
+        }
+        
+        // A batch waits for the handlers and apply() only, not for what apply() renders
+        const applied = this._trackBatch(this.stateManager.emitCancelable(event, payload).then(change => {
+            if (!change) {
+                if (onCancel) onCancel();
+                return { cancelled: true };
+            }
+            return { rendered: apply(change) };
+        }));
+        return applied.then(({ cancelled, rendered }) => {
+            if (cancelled) return false;
+            return Promise.resolve(rendered).then(result => result !== false);
+        });
+    }
+
+    // Batch support
+    beginBatch() {
+        this.batchDepth++;
+    }
+
+    endBatch() {
+        if (this.batchDepth === 0 || --this.batchDepth > 0) return;
+        
+        this.batchPromises = [];
+        if (this.deckUpdatePending) {
+            this.deckUpdatePending = false;
+            this._updateDeckOverlay();
+        }
+    }
+
+    // Resolves once every guarded change tracked from index `start` on has been applied (its
+    // before* handlers have run), including changes started meanwhile; rendering is not awaited.
+    // Nested batches pass the length on entry and leave the outer batch's changes tracked.
+    settleBatch(start = 0) {
+        const end = this.batchPromises.length;
+        if (end <= start) return Promise.resolve();
+        
+        const pending = this.batchPromises.slice(start, end);
+        return Promise.all(pending.map(promise => promise.catch(() => false))).then(() => this.settleBatch(end));
+    }
+
+    _trackBatch(promise) {
+        if (this.batchDepth > 0) {
+            this.batchPromises.push(promise);
+        }
+        return promise;
     }
 
     // Tooltip System
@@ -407,6 +1120,15 @@ class UIManager {
             return null;
         }
 
+        // Optional: aggregate every object under the cursor, across overlays
+        if (this.options.multiPick && this.deckOverlay && typeof this.deckOverlay.pickMultipleObjects === 'function') {
+            return this._getMultiPickTooltip(info);
+        }
+
+        return this._getPickTooltip(info);
+    }
+
+    _getPickTooltip(info) {
         const layerId = info.layer.id;
         const pickedObject = info.object;
         
@@ -416,23 +1138,27 @@ class UIManager {
             return null;
         }
 
-        // Check if overlay has custom tooltip configuration
-        if (overlay.getTooltip && typeof overlay.getTooltip === 'function') {
-            const tooltipData = overlay.getTooltip(pickedObject, info);
+        // Tooltip defined on the deck layer takes precedence over the overlay-level one
+        const layerDef = this._findDeckLayerDef(overlay, layerId);
+        const hasLayerTooltip = layerDef && (typeof layerDef.getTooltip === 'function' || layerDef.tooltip);
+        const source = hasLayerTooltip ? layerDef : overlay;
+
+        if (source.getTooltip && typeof source.getTooltip === 'function') {
+            const tooltipData = source.getTooltip(pickedObject, info);
             if (tooltipData) {
                 return {
                     html: tooltipData.html || this._formatDefaultTooltip(tooltipData),
                     style: tooltipData.style || this._getDefaultTooltipStyle()
                 };
             }
-        } else if (overlay.tooltip) {
+        } else if (source.tooltip) {
             return {
-                html: this._formatTooltipFromConfig(overlay.tooltip, pickedObject, info),
+                html: this.tooltipTemplate.render(source.tooltip, pickedObject),
                 style: this._getDefaultTooltipStyle()
             };
         } else if (pickedObject.name) {
             return {
-                html: `<div class="tooltip-content">${pickedObject.name}</div>`,
+                html: `<div class="tooltip-content">${TooltipTemplate.escapeHtml(pickedObject.name)}</div>`,
                 style: this._getDefaultTooltipStyle()
             };
         }
@@ -440,83 +1166,274 @@ class UIManager {
         return null;
     }
 
-    _findOverlayByLayerId(layerId) {
-        for (const overlay of this.options.overlays) {
-            if (overlay.deckLayers) {
-                for (const deckLayer of overlay.deckLayers) {
-                    if (deckLayer.id === layerId) {
-                        return overlay;
-                    }
-                }
-            }
+    _getMultiPickTooltip(info) {
+        const config = typeof this.options.multiPick === 'object' ? this.options.multiPick : {};
+        
+        let picks = [];
+        try {
+            picks = this.deckOverlay.pickMultipleObjects({
+                x: info.x,
+                y: info.y,
+                radius: config.radius !== undefined ? config.radius : 10,
+                depth: config.depth !== undefined ? config.depth : 10
+            }) || [];
+        } catch (error) {
+            console.warn('Multi-object picking failed, falling back to single pick:', error);
+        }
+        if (picks.length === 0) {
+            picks = [info];
         }
-        return null;
-    }
 
-    _formatTooltipFromConfig(tooltipConfig, object, info) {
-        if (typeof tooltipConfig === 'string') {
-            return `<div class="tooltip-content">${object[tooltipConfig] || 'No data'}</div>`;
-        } else if (typeof tooltipConfig === 'object') {
-            let html = '<div class="tooltip-content">';
+        // One section per overlay, in pick order (top-most first)
+        const sections = new Map();
+        picks.forEach(pick => {
+            if (!pick.object || !pick.layer) return;
             
-            if (tooltipConfig.title) {
-                const title = this._getPropertyValue(object, tooltipConfig.title);
-                html += `<div class="tooltip-title">${title}</div>`;
-            }
+            const tooltip = this._getPickTooltip(pick);
+            const overlay = this._findOverlayByLayerId(pick.layer.id);
+            if (!tooltip || !overlay) return;
             
-            if (tooltipConfig.fields && Array.isArray(tooltipConfig.fields)) {
-                html += '<div class="tooltip-fields">';
-                tooltipConfig.fields.forEach(field => {
-                    if (typeof field === 'string') {
-                        const value = this._getPropertyValue(object, field);
-                        html += `<div class="tooltip-field"><strong>${field}:</strong> ${value}</div>`;
-                    } else if (field.label && field.property) {
-                        const value = this._getPropertyValue(object, field.property);
-                        html += `<div class="tooltip-field"><strong>${field.label}:</strong> ${value}</div>`;
-                    }
-                });
-                html += '</div>';
+            if (!sections.has(overlay.id)) {
+                sections.set(overlay.id, { label: overlay.label || overlay.id, items: [] });
             }
-            
+            sections.get(overlay.id).items.push(tooltip);
+        });
+
+        const tooltips = Array.from(sections.values());
+        if (tooltips.length === 0) {
+            return null;
+        }
+        if (tooltips.length === 1 && tooltips[0].items.length === 1) {
+            return tooltips[0].items[0];
+        }
+
+        let html = '<div class="tooltip-content tooltip-multi">';
+        tooltips.forEach(section => {
+            html += '<div class="tooltip-section">';
+            html += `<div class="tooltip-section-title">${TooltipTemplate.escapeHtml(section.label)}</div>`;
+            section.items.forEach(item => {
+                html += item.html;
+            });
             html += '</div>';
-            return html;
+        });
+        html += '</div>';
+
+        return {
+            html,
+            style: this._getDefaultTooltipStyle()
+        };
+    }
+
+    _findDeckLayerDef(overlay, layerId) {
+        const deckLayerDefs = this._getDeckLayerDefs(overlay) || [];
+        return deckLayerDefs.find(layerDef => layerDef.id === layerId) || null;
+    }
+
+    // Feature Selection (click picking)
+    _handleDeckClick(info, event) {
+        const overlay = info && info.object && info.layer ? this._findOverlayByLayerId(info.layer.id) : null;
+        if (!overlay) {
+            // Clicking the map outside any overlay feature closes the selection
+            this.clearSelection();
+            return false;
         }
         
-        return `<div class="tooltip-content">${object.name || 'No data'}</div>`;
+        const feature = {
+            overlayId: overlay.id,
+            layerId: info.layer.id,
+            index: info.index,
+            object: info.object,
+            coordinate: info.coordinate || null
+        };
+        this.stateManager.emit('featureclick', {
+            ...feature,
+            originalEvent: event?.srcEvent || null
+        });
+        
+        if (!this._isSelectable(overlay, info.layer.id)) {
+            this.clearSelection();
+            return false;
+        }
+        
+        return this.selectFeature(feature);
+    }
+
+    _isSelectable(overlay, layerId) {
+        const layerDef = this._findDeckLayerDef(overlay, layerId);
+        for (const config of [layerDef, overlay, this.options]) {
+            if (config && config.selectable !== undefined) {
+                return config.selectable !== false;
+            }
+        }
+        return Boolean(layerDef?.popup || overlay.popup);
     }
 
-    _getPropertyValue(object, propertyPath) {
-        if (!propertyPath) return '';
+    selectFeature(feature, options = {}) {
+        const overlay = this.options.overlays.find(o => o.id === feature?.overlayId);
+        if (!overlay) return false;
         
-        const parts = propertyPath.split('.');
-        let value = object;
+        const layerId = feature.layerId || (this.overlayToLayerIds.get(overlay.id) || [])[0];
+        const layer = layerId && this.deckLayers.get(layerId);
+        if (!layer) return false; // Overlay is not rendered
         
-        for (const part of parts) {
-            if (value && typeof value === 'object' && part in value) {
-                value = value[part];
-            } else {
-                return '';
+        // Resolve index <-> object against the layer data when only one is given
+        const data = this._getLayerData(layer);
+        let index = typeof feature.index === 'number' ? feature.index : -1;
+        let object = feature.object;
+        if (index < 0 && object !== undefined && data) {
+            index = data.indexOf(object);
+        }
+        if (object === undefined && data) {
+            object = data[index];
+        }
+        if (index < 0 || object === undefined) return false;
+        
+        const previous = this.selection;
+        this.selection = {
+            overlayId: overlay.id,
+            layerId,
+            index,
+            object,
+            coordinate: feature.coordinate || null
+        };
+        
+        this._updateDeckOverlay();
+        this._closeSelectionPopup();
+        if (options.popup !== false) {
+            this._openSelectionPopup(overlay, this.selection);
+        }
+        
+        this.stateManager.emit('selectionchange', {
+            selection: this.selection,
+            previous
+        });
+        return true;
+    }
+
+    clearSelection() {
+        if (!this.selection) return false;
+        
+        const previous = this.selection;
+        this.selection = null;
+        this._closeSelectionPopup();
+        this._updateDeckOverlay();
+        
+        this.stateManager.emit('selectionchange', {
+            selection: null,
+            previous
+        });
+        return true;
+    }
+
+    _clearSelectionForOverlay(overlayId) {
+        if (this.selection && this.selection.overlayId === overlayId) {
+            this.clearSelection();
+        }
+    }
+
+    _getLayerData(layer) {
+        const data = layer.props?.data;
+        if (Array.isArray(data)) return data;
+        if (data && Array.isArray(data.features)) return data.features;
+        return null;
+    }
+
+    _openSelectionPopup(overlay, selection) {
+        if (!this.map || !selection.coordinate || typeof maplibregl === 'undefined') return;
+        
+        const html = this._getPopupContent(overlay, selection);
+        if (!html) return;
+        
+        const popup = new maplibregl.Popup({
+            closeButton: true,
+            closeOnClick: false,
+            className: 'layers-control__popup'
+        })
+            .setLngLat(selection.coordinate)
+            .setHTML(html)
+            .addTo(this.map);
+        
+        // Closing the popup (close button) ends the selection
+        popup.on('close', () => {
+            if (this.selectionPopup === popup) {
+                this.selectionPopup = null;
+                this.clearSelection();
+            }
+        });
+        this.selectionPopup = popup;
+    }
+
+    _closeSelectionPopup() {
+        const popup = this.selectionPopup;
+        this.selectionPopup = null;
+        if (popup) {
+            popup.remove();
+        }
+    }
+
+    _getPopupContent(overlay, selection) {
+        const layerDef = this._findDeckLayerDef(overlay, selection.layerId);
+        const popup = layerDef && layerDef.popup !== undefined ? layerDef.popup : overlay.popup;
+        if (!popup) return null;
+        
+        // popup: true reuses the hover tooltip config
+        if (popup === true) {
+            const tooltip = this._getPickTooltip({
+                layer: { id: selection.layerId },
+                index: selection.index,
+                object: selection.object,
+                coordinate: selection.coordinate
+            });
+            return tooltip ? tooltip.html : null;
+        }
+        
+        if (typeof popup === 'function') {
+            const popupData = popup(selection.object, selection);
+            if (!popupData) return null;
+            return popupData.html || this._formatDefaultTooltip(popupData);
+        }
+        
+        return this.tooltipTemplate.render(popup, selection.object);
+    }
+
+    _findOverlayByLayerId(layerId) {
+        // Active layers (static or produced by renderOnClick) are tracked per overlay
+        for (const [overlayId, layerIds] of this.overlayToLayerIds) {
+            if (layerIds.includes(layerId)) {
+                const overlay = this.options.overlays.find(o => o.id === overlayId);
+                if (overlay) return overlay;
+            }
+        }
+
+        for (const overlay of this.options.overlays) {
+            if (overlay.deckLayers) {
+                for (const deckLayer of overlay.deckLayers) {
+                    if (deckLayer.id === layerId) {
+                        return overlay;
+                    }
+                }
             }
         }
-        
-        return value !== null && value !== undefined ? String(value) : '';
+        return null;
     }
 
+    // Text returned by getTooltip is escaped; use { html } for trusted markup
     _formatDefaultTooltip(data) {
+        const escape = TooltipTemplate.escapeHtml;
         if (typeof data === 'string') {
-            return `<div class="tooltip-content">${data}</div>`;
+            return `<div class="tooltip-content">${escape(data)}</div>`;
         } else if (data.title || data.content) {
             let html = '<div class="tooltip-content">';
             if (data.title) {
-                html += `<div class="tooltip-title">${data.title}</div>`;
+                html += `<div class="tooltip-title">${escape(data.title)}</div>`;
             }
             if (data.content) {
-                html += `<div class="tooltip-body">${data.content}</div>`;
+                html += `<div class="tooltip-body">${escape(data.content)}</div>`;
             }
             html += '</div>';
             return html;
         }
-        return `<div class="tooltip-content">${JSON.stringify(data)}</div>`;
+        return `<div class="tooltip-content">${escape(JSON.stringify(data))}</div>`;
     }
 
     _getDefaultTooltipStyle() {
@@ -568,12 +1485,7 @@ class UIManager {
         if (!overlay) return true;
 
         const shouldBeVisible = this._checkZoomConstraints(overlay);
-        
-        if (shouldBeVisible) {
-            this.zoomFilteredOverlays.delete(overlayId);
-        } else {
-            this.zoomFilteredOverlays.add(overlayId);
-        }
+        this._setZoomFiltered(overlayId, !shouldBeVisible);
         
         return shouldBeVisible;
     }
@@ -591,12 +1503,18 @@ class UIManager {
                 const isCurrentlyFiltered = this.zoomFilteredOverlays.has(overlayId);
                 
                 if (shouldBeVisible && isCurrentlyFiltered) {
-                    this.zoomFilteredOverlays.delete(overlayId);
+                    this._setZoomFiltered(overlayId, false);
                     this._showOverlayLayers(overlay);
                     this._updateOverlayUI(overlayId);
                 } else if (!shouldBeVisible && !isCurrentlyFiltered) {
-                    this.zoomFilteredOverlays.add(overlayId);
+                    this._setZoomFiltered(overlayId, true);
                     this._hideOverlayLayers(overlay);
+                    
+                    // Drop viewport requests that can no longer be shown
+                    if (this._getReloadOnMoveConfig(overlay)) {
+                        this._cancelViewportReload(overlayId);
+                        this._setLoadingState(overlayId, false);
+                    }
                     this._updateOverlayUI(overlayId);
                 }
             }
@@ -627,63 +1545,125 @@ class UIManager {
     }
 
     // Map Integration Methods
+    // Resolves true once the new style has loaded, false when superseded; rejects if the style fails to load
     _applyBaseToMap(baseId) {
-        if (!this.map) return;
+        if (!this.map) return Promise.resolve(false);
         
         const baseStyle = this.options.baseStyles.find(base => base.id === baseId);
-        if (!baseStyle) return;
-        
-        if (baseStyle.style) {
-            // Store current visible overlays by layer IDs
-            const visibleLayerIds = new Set();
-            this.overlayToLayerIds.forEach((layerIds, overlayId) => {
-                const overlayState = this.stateManager.get('overlays')[overlayId];
-                if (overlayState?.visible) {
-                    layerIds.forEach(layerId => visibleLayerIds.add(layerId));
-                }
-            });
+        if (!baseStyle || !baseStyle.style) return Promise.resolve(false);
+        
+        // A newer switch supersedes any pending one
+        this._cancelPendingStyleSwitch();
+        
+        let pending;
+        const promise = new Promise((resolve, reject) => {
+            const handleStyleLoad = () => {
+                this._detachPendingStyleSwitch();
+                this._restoreLayersAfterStyleChange();
+                this.stateManager.emit('styleload', { baseId });
+                resolve(true);
+            };
             
-            // Remove existing deck overlay
-            if (this.deckOverlay) {
-                try {
-                    this.map.removeControl(this.deckOverlay);
-                } catch (e) {
-                    console.warn('Error removing deck overlay:', e);
-                }
-                this.deckOverlay = null;
-            }
+            const fail = (error) => {
+                this._detachPendingStyleSwitch();
+                const message = error?.message || 'Failed to load style';
+                console.error(`Error loading base style ${baseId}:`, error || message);
+                this.stateManager.emit('styleerror', { baseId, error: message });
+                reject(error instanceof Error ? error : new Error(message));
+            };
             
-            // Clear layer caches
-            this.deckLayers.clear();
-            this.overlayToLayerIds.clear();
+            // Other errors while the style loads (tiles, sprites, unrelated code) keep the restore attached;
+            // the last one is reported if the style never loads
+            let lastError = null;
+            const handleError = (event) => {
+                if (this._isStyleLoadError(event, baseStyle.style)) {
+                    fail(event.error);
+                } else if (!event?.sourceId) {
+                    lastError = event?.error || null;
+                }
+            };
             
-            // Apply new style
-            this.map.setStyle(baseStyle.style);
+            // Failures the error event can't pin on the style (invalid inline style, unparsable JSON) end here
+            const timeout = this.options.styleLoadTimeout ?? 15000;
+            const timer = timeout > 0 ? setTimeout(() => {
+                fail(lastError || new Error(`Style did not load within ${timeout} ms`));
+            }, timeout) : null;
             
-            // Wait for style to load, then recreate deck overlay and layers
-            this.map.once('styledata', () => {
-                setTimeout(() => {
-                    this._initializeDeckOverlay();
-                    
-                    // Restore visible overlays
-                    Object.keys(this.stateManager.get('overlays')).forEach(overlayId => {
-                        const overlayState = this.stateManager.get('overlays')[overlayId];
-                        if (overlayState?.visible) {
-                            this._activateOverlay(overlayId, false);
-                        }
-                    });
-                }, 50);
-            });
+            pending = { baseId, handleStyleLoad, handleError, timer, cancel: () => resolve(false) };
+        });
+        pending.promise = promise;
+        
+        this.pendingStyleSwitch = pending;
+        this.map.once('style.load', pending.handleStyleLoad);
+        this.map.on('error', pending.handleError);
+        
+        // Full reload so 'style.load' fires; the deck overlay control and its layers stay in place
+        this.map.setStyle(baseStyle.style, { diff: false });
+        return promise;
+    }
+
+    // Only a failed request for the style URL itself: it carries no sourceId and the style's url
+    _isStyleLoadError(event, style) {
+        if (!event || event.sourceId || typeof style !== 'string') return false;
+        
+        const url = event.error?.url;
+        if (!url) return false;
+        try {
+            return new URL(url, window.location.href).href === new URL(style, window.location.href).href;
+        } catch (error) {
+            return url === style;
+        }
+    }
+
+    _cancelPendingStyleSwitch() {
+        const pending = this._detachPendingStyleSwitch();
+        if (pending) {
+            pending.cancel();
+        }
+    }
+
+    _detachPendingStyleSwitch() {
+        const pending = this.pendingStyleSwitch;
+        if (!pending) return null;
+        
+        this.pendingStyleSwitch = null;
+        clearTimeout(pending.timer);
+        if (this.map) {
+            this.map.off('style.load', pending.handleStyleLoad);
+            this.map.off('error', pending.handleError);
         }
+        return pending;
+    }
+
+    // Re-adds what setStyle dropped: native overlay layers and the interleaved deck layers
+    _restoreLayersAfterStyleChange() {
+        const activeOverlayIds = Array.from(this.overlayToMapLayerIds.keys());
+        this.overlayToMapLayerIds.clear();
+        
+        activeOverlayIds.forEach(overlayId => {
+            const overlay = this.options.overlays.find(o => o.id === overlayId);
+            if (overlay) {
+                this._addMapLayers(overlay);
+            }
+        });
+        
+        this._updateDeckOverlay();
     }
 
+    // Resolves true once the overlay is rendered (or zoom filtered), false when it was hidden
+    // meanwhile; rejects with the activation error, which is also kept in errorStates
     async _activateOverlay(overlayId, isUserInteraction = false) {
-        if (!this.map || !this.deckOverlay) return;
+        if (!this.map || !this.deckOverlay) return false;
         
         let overlay = this.options.overlays.find(o => o.id === overlayId);
-        if (!overlay) return;
+        if (!overlay) return false;
+        
+        // Supersedes any activation still running for this overlay
+        const task = this._beginTask(this.activationTasks, overlayId);
+        const isStale = () => this.activationTasks.get(overlayId) !== task;
         
         this._setLoadingState(overlayId, true);
+        let baseChange = null;
         
         try {
             // Handle forced base layer
@@ -692,7 +1672,7 @@ class UIManager {
                 const targetBaseStyle = this.options.baseStyles.find(b => b.id === overlay.forcedBaseLayerId);
                 if (targetBaseStyle) {
                     if (this.stateManager.get('base') !== overlay.forcedBaseLayerId) {
-                        this.handleBaseChange(overlay.forcedBaseLayerId);
+                        baseChange = this.handleBaseChange(overlay.forcedBaseLayerId).catch(() => false);
                     }
                 } else {
                     console.warn(`Forced base layer '${overlay.forcedBaseLayerId}' not found.`);
@@ -752,23 +1732,37 @@ class UIManager {
                 return true;
             }
             
+            // Resolve layer definitions - static deckLayers or renderOnClick result
+            const deckLayerDefs = await this._resolveDeckLayerDefs(overlay, isUserInteraction);
+            
+            // Hidden or re-activated while renderOnClick was loading; the newer call owns the loading state
+            if (isStale()) {
+                return false;
+            }
+            if (!this.stateManager.get('overlays')[overlayId]?.visible) {
+                this._setLoadingState(overlayId, false);
+                return false;
+            }
+            if (this.zoomFilteredOverlays.has(overlayId)) {
+                // Zoomed out of range meanwhile; layers are added when zooming back in
+                this._setLoadingState(overlayId, false);
+                return true;
+            }
+            
             // Create Deck.GL layers - STORE BY LAYER ID
-            if (overlay.deckLayers) {
+            if (deckLayerDefs) {
                 const layerIds = [];
                 
-                overlay.deckLayers.forEach(layerConfig => {
+                deckLayerDefs.forEach(layerConfig => {
                     const LayerClass = deck[layerConfig.type];
                     if (!LayerClass) {
                         throw new Error(`Unknown layer type: ${layerConfig.type}`);
                     }
                     
-                    const overlayState = this.stateManager.get('overlays')[overlayId];
-                    const opacity = overlayState?.opacity || 1.0;
-                    
                     const layer = new LayerClass({
                         id: layerConfig.id,
-                        opacity: opacity,
-                        ...layerConfig.props
+                        ...layerConfig.props,
+                        opacity: this._getDeckLayerOpacity(layerConfig, overlayId)
                     });
                     
                     // Store by layer ID (matching old pattern)
@@ -782,18 +1776,78 @@ class UIManager {
                 this._updateDeckOverlay();
             }
             
+            // Add native MapLibre sources and layers
+            this._addMapLayers(overlay);
+            
             this._setLoadingState(overlayId, false);
-            this.errorStates.delete(overlayId);
+            this._setSuccessState(overlayId);
+            
+            // Native layers are only placed once a pending base style has loaded
+            if (baseChange) {
+                await baseChange;
+            }
+            if (this.pendingStyleSwitch) {
+                await this.pendingStyleSwitch.promise.catch(() => false);
+            }
+            return !isStale();
             
         } catch (error) {
+            // Failures of superseded or cancelled work are not reported
+            if (isStale()) {
+                return false;
+            }
             console.error(`Error activating overlay ${overlayId}:`, error);
             this._setLoadingState(overlayId, false);
-            this.errorStates.set(overlayId, error.message);
-            this._updateOverlayUI(overlayId);
+            this._setErrorState(overlayId, error);
+            throw error;
+        } finally {
+            this._endTask(this.activationTasks, overlayId, task);
+        }
+    }
+
+    // Tasks: a newer task for the same overlay, or _cancelTask, aborts the previous one
+    _beginTask(tasks, overlayId) {
+        this._cancelTask(tasks, overlayId);
+        
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const task = { controller, signal: controller ? controller.signal : undefined };
+        tasks.set(overlayId, task);
+        return task;
+    }
+
+    _cancelTask(tasks, overlayId) {
+        const task = tasks.get(overlayId);
+        if (!task) return;
+        
+        tasks.delete(overlayId);
+        if (task.controller) {
+            task.controller.abort();
+        }
+    }
+
+    _endTask(tasks, overlayId, task) {
+        if (tasks.get(overlayId) === task) {
+            tasks.delete(overlayId);
         }
     }
 
+    // Fire-and-forget activation; failures are surfaced through errorStates and the error event
+    _activateInBackground(overlayId, isUserInteraction = false) {
+        this._activateOverlay(overlayId, isUserInteraction).catch(() => {});
+    }
+
     _deactivateOverlay(overlayId) {
+        // Cancel in-flight activation, renderOnClick request and onChecked callback
+        this._cancelTask(this.activationTasks, overlayId);
+        this._cancelTask(this.callbackTasks, overlayId);
+        this._abortRenderOnClick(overlayId);
+        
+        // Viewport-driven requests are only meaningful while the overlay is visible
+        const overlay = this.options.overlays.find(o => o.id === overlayId);
+        if (overlay && this._getReloadOnMoveConfig(overlay)) {
+            this._cancelViewportReload(overlayId);
+        }
+        
         // Remove layers by their individual IDs
         const layerIds = this.overlayToLayerIds.get(overlayId);
         if (layerIds) {
@@ -803,33 +1857,311 @@ class UIManager {
             this.overlayToLayerIds.delete(overlayId);
         }
         
+        this._removeMapLayers(overlayId);
+        this._clearSelectionForOverlay(overlayId);
+        
         this.zoomFilteredOverlays.delete(overlayId);
         this._updateDeckOverlay();
         this._setLoadingState(overlayId, false);
     }
 
     _showOverlayLayers(overlay) {
-        if (!overlay || !overlay.deckLayers) return;
+        if (!overlay) return;
         
-        overlay.deckLayers.forEach(deckLayerDef => {
+        this._addMapLayers(overlay);
+        
+        const deckLayerDefs = this._getDeckLayerDefs(overlay);
+        if (!deckLayerDefs) {
+            // renderOnClick overlay that was never loaded (e.g. zoom filtered on activation)
+            if (typeof overlay.renderOnClick === 'function') {
+                this._activateInBackground(overlay.id, false);
+            }
+            return;
+        }
+        
+        const layerIds = [];
+        deckLayerDefs.forEach(deckLayerDef => {
             const layer = this._createDeckLayer(deckLayerDef, overlay);
             if (layer) {
                 // Store by layer ID
                 this.deckLayers.set(deckLayerDef.id, layer);
+                layerIds.push(deckLayerDef.id);
             }
         });
+        this.overlayToLayerIds.set(overlay.id, layerIds);
         this._updateDeckOverlay();
     }
 
     _hideOverlayLayers(overlay) {
-        if (!overlay || !overlay.deckLayers) return;
+        if (overlay) {
+            this._removeMapLayers(overlay.id);
+        }
         
-        overlay.deckLayers.forEach(deckLayerDef => {
+        const deckLayerDefs = overlay && this._getDeckLayerDefs(overlay);
+        if (!deckLayerDefs) return;
+        
+        this._clearSelectionForOverlay(overlay.id);
+        deckLayerDefs.forEach(deckLayerDef => {
             this.deckLayers.delete(deckLayerDef.id);
         });
         this._updateDeckOverlay();
     }
 
+    // Native MapLibre layers (overlay.sources / overlay.layers)
+    _hasMapLayers(overlay) {
+        return Array.isArray(overlay.layers) && overlay.layers.length > 0;
+    }
+
+    _addMapLayers(overlay) {
+        if (!this.map || !this._hasMapLayers(overlay)) return;
+        
+        // Style is being replaced; layers are added once it has loaded
+        if (this.pendingStyleSwitch) {
+            this.overlayToMapLayerIds.set(overlay.id, { layerIds: [], sourceIds: [] });
+            return;
+        }
+        
+        const sourceIds = [];
+        Object.entries(overlay.sources || {}).forEach(([sourceId, sourceSpec]) => {
+            if (!this.map.getSource(sourceId)) {
+                this.map.addSource(sourceId, sourceSpec);
+                this.pendingSourceLoads.set(sourceId, overlay.id);
+            }
+            sourceIds.push(sourceId);
+        });
+        
+        const opacity = this._getEffectiveOpacity(overlay.id);
+        const layerIds = [];
+        overlay.layers.forEach(layerDef => {
+            const { beforeId, ...layerSpec } = layerDef;
+            if (!this.map.getLayer(layerSpec.id)) {
+                const paint = { ...layerSpec.paint, ...this._getMapLayerOpacityPaint(layerSpec, opacity) };
+                this.map.addLayer({ ...layerSpec, paint }, this._resolveBeforeId(beforeId, overlay));
+            }
+            layerIds.push(layerSpec.id);
+        });
+        
+        this.overlayToMapLayerIds.set(overlay.id, { layerIds, sourceIds });
+    }
+
+    _removeMapLayers(overlayId) {
+        const tracked = this.overlayToMapLayerIds.get(overlayId);
+        if (!tracked) return;
+        this.overlayToMapLayerIds.delete(overlayId);
+        if (!this.map) return;
+        
+        tracked.layerIds.forEach(layerId => {
+            if (this.map.getLayer(layerId)) {
+                this.map.removeLayer(layerId);
+            }
+        });
+        
+        // Sources may be shared with other overlays or the base style
+        const styleLayers = this.map.getStyle()?.layers || [];
+        tracked.sourceIds.forEach(sourceId => {
+            const inUse = styleLayers.some(layer => layer.source === sourceId);
+            if (!inUse && this.map.getSource(sourceId)) {
+                this.map.removeSource(sourceId);
+                this.pendingSourceLoads.delete(sourceId);
+            }
+        });
+    }
+
+    _updateMapLayerOpacity(overlayId, opacity) {
+        const overlay = this.options.overlays.find(o => o.id === overlayId);
+        if (!overlay || !this.map || !this.overlayToMapLayerIds.has(overlayId)) return;
+        
+        overlay.layers.forEach(layerDef => {
+            if (!this.map.getLayer(layerDef.id)) return;
+            
+            const paint = this._getMapLayerOpacityPaint(layerDef, opacity);
+            Object.entries(paint).forEach(([property, value]) => {
+                this.map.setPaintProperty(layerDef.id, property, value);
+            });
+        });
+    }
+
+    // Scales the numeric opacity paint properties of a layer; expression values are left untouched
+    _getMapLayerOpacityPaint(layerDef, opacity) {
+        const properties = UIManager.MAP_LAYER_OPACITY_PROPERTIES[layerDef.type] || [];
+        const paint = {};
+        
+        properties.forEach(property => {
+            const configured = layerDef.paint?.[property];
+            if (configured === undefined) {
+                paint[property] = opacity;
+            } else if (typeof configured === 'number') {
+                paint[property] = configured * opacity;
+            }
+        });
+        
+        return paint;
+    }
+
+    _resolveBeforeId(beforeId, overlay) {
+        const anchor = overlay.anchor || {};
+        const candidate = beforeId || anchor.beforeId || (anchor.belowLabels ? this.getOverlayBeforeId() : undefined);
+        
+        if (candidate && !this.map.getLayer(candidate)) {
+            console.warn(`beforeId '${candidate}' not found in current style for overlay ${overlay.id}, adding on top`);
+            return undefined;
+        }
+        return candidate;
+    }
+
+    // First symbol layer of the current style, used to place overlays under labels
+    getOverlayBeforeId() {
+        const styleLayers = this.map?.getStyle()?.layers || [];
+        const labelLayer = styleLayers.find(layer => layer.type === 'symbol');
+        return labelLayer ? labelLayer.id : undefined;
+    }
+
+    // Dynamic overlay loading (renderOnClick)
+    async _resolveDeckLayerDefs(overlay, isUserInteraction = false) {
+        if (typeof overlay.renderOnClick !== 'function') {
+            return overlay.deckLayers;
+        }
+        
+        // Viewport-driven overlays always load for the current bounds
+        const cached = this._getDeckLayerDefs(overlay);
+        if (cached && !this._getReloadOnMoveConfig(overlay)) {
+            return cached;
+        }
+        
+        // Suppress duplicate in-flight calls by sharing the pending promise
+        if (!this.renderOnClickLoading.has(overlay.id)) {
+            this._loadRenderOnClick(overlay, isUserInteraction);
+        }
+        
+        // A viewport reload may supersede the pending call; follow it until one settles
+        let pending;
+        while ((pending = this.renderOnClickLoading.get(overlay.id))) {
+            const result = await pending;
+            if (result) return result.deckLayers;
+        }
+        return this._getDeckLayerDefs(overlay);
+    }
+
+    // Calls renderOnClick and caches its result; resolves to null when the call was aborted
+    _loadRenderOnClick(overlay, isUserInteraction = false) {
+        const overlayId = overlay.id;
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const context = {
+            ...this._createOverlayContext(overlayId, overlay, isUserInteraction),
+            bounds: this._getCurrentBounds(),
+            zoom: this.map ? this.map.getZoom() : null,
+            signal: controller ? controller.signal : undefined
+        };
+        const isAborted = () => controller !== null && controller.signal.aborted;
+        
+        const pending = Promise.resolve()
+            .then(() => overlay.renderOnClick(context))
+            .then(result => {
+                if (isAborted()) return null;
+                if (!result || !Array.isArray(result.deckLayers)) {
+                    throw new Error(`renderOnClick for overlay '${overlayId}' must return { deckLayers }`);
+                }
+                this.renderOnClickResults.set(overlayId, result);
+                return result;
+            }, error => {
+                if (isAborted()) return null;
+                throw error;
+            })
+            .finally(() => {
+                if (this.renderOnClickLoading.get(overlayId) === pending) {
+                    this.renderOnClickLoading.delete(overlayId);
+                    this.renderOnClickControllers.delete(overlayId);
+                }
+            });
+        
+        this.renderOnClickLoading.set(overlayId, pending);
+        this.renderOnClickControllers.set(overlayId, controller);
+        return pending;
+    }
+
+    _abortRenderOnClick(overlayId) {
+        const controller = this.renderOnClickControllers.get(overlayId);
+        if (controller) {
+            controller.abort();
+        }
+        this.renderOnClickControllers.delete(overlayId);
+        this.renderOnClickLoading.delete(overlayId);
+    }
+
+    // Viewport-aware reloading (reloadOnMove)
+    _getReloadOnMoveConfig(overlay) {
+        if (!overlay.reloadOnMove || typeof overlay.renderOnClick !== 'function') {
+            return null;
+        }
+        
+        const config = typeof overlay.reloadOnMove === 'object' ? overlay.reloadOnMove : {};
+        return {
+            debounce: config.debounce !== undefined ? config.debounce : 300
+        };
+    }
+
+    _scheduleViewportReload(overlay) {
+        const config = this._getReloadOnMoveConfig(overlay);
+        if (!config) return;
+        
+        clearTimeout(this.viewportReloadTimers.get(overlay.id));
+        this.viewportReloadTimers.set(overlay.id, setTimeout(() => {
+            this.viewportReloadTimers.delete(overlay.id);
+            this._reloadOverlayForViewport(overlay.id);
+        }, config.debounce));
+    }
+
+    _cancelViewportReload(overlayId) {
+        clearTimeout(this.viewportReloadTimers.get(overlayId));
+        this.viewportReloadTimers.delete(overlayId);
+        this._abortRenderOnClick(overlayId);
+    }
+
+    _reloadOverlayForViewport(overlayId) {
+        const overlay = this.options.overlays.find(o => o.id === overlayId);
+        if (!overlay || !this.map) return;
+        if (!this.stateManager.get('overlays')[overlayId]?.visible) return;
+        if (!this._checkZoomConstraints(overlay)) return;
+        
+        // Stale request for the previous bounds is no longer needed
+        this._abortRenderOnClick(overlayId);
+        this._setLoadingState(overlayId, true);
+        
+        this._loadRenderOnClick(overlay, false).then(result => {
+            // Superseded by a newer reload or cancelled
+            if (!result) return;
+            
+            if (this.stateManager.get('overlays')[overlayId]?.visible && !this.zoomFilteredOverlays.has(overlayId)) {
+                this._updateOverlayLayers(overlayId);
+            }
+            this._setLoadingState(overlayId, false);
+            this._setSuccessState(overlayId);
+        }).catch(error => {
+            console.error(`Error reloading overlay ${overlayId} for viewport:`, error);
+            this._setLoadingState(overlayId, false);
+            this._setErrorState(overlayId, error);
+        });
+    }
+
+    _getCurrentBounds() {
+        if (!this.map) return null;
+        
+        const bounds = this.map.getBounds();
+        return [
+            [bounds.getWest(), bounds.getSouth()],
+            [bounds.getEast(), bounds.getNorth()]
+        ];
+    }
+
+    // Layer definitions currently known for an overlay, without triggering a load
+    _getDeckLayerDefs(overlay) {
+        if (typeof overlay.renderOnClick === 'function') {
+            const cached = this.renderOnClickResults.get(overlay.id);
+            return cached && Array.isArray(cached.deckLayers) ? cached.deckLayers : null;
+        }
+        return overlay.deckLayers || null;
+    }
+
     _createDeckLayer(deckLayerDef, overlay) {
         if (!deck || !this.deckOverlay) return null;
 
@@ -840,15 +2172,11 @@ class UIManager {
                 return null;
             }
 
-            const overlayId = overlay.id;
-            const persistedOpacity = this.stateManager.get('overlays')[overlayId]?.opacity;
             const finalProps = {
                 id: deckLayerDef.id,
-                ...deckLayerDef.props
+                ...deckLayerDef.props,
+                opacity: this._getDeckLayerOpacity(deckLayerDef, overlay.id)
             };
-            if (typeof persistedOpacity === 'number') {
-                finalProps.opacity = persistedOpacity;
-            }
 
             return new LayerClass(finalProps);
         } catch (error) {
@@ -859,23 +2187,78 @@ class UIManager {
 
     _updateDeckOverlay() {
         if (!this.deckOverlay) return;
+        
+        if (this.batchDepth > 0) {
+            this.deckUpdatePending = true;
+            return;
+        }
 
-        // Get all layers as array - this matches the old pattern
-        const layers = Array.from(this.deckLayers.values());
+        // Draw order follows layerOrder (back to front); untracked layers go on top
+        const layers = [];
+        const added = new Set();
+        this.stateManager.get('layerOrder').forEach(overlayId => {
+            (this.overlayToLayerIds.get(overlayId) || []).forEach(layerId => {
+                const layer = this.deckLayers.get(layerId);
+                if (layer && !added.has(layerId)) {
+                    layers.push(this._withSelectionHighlight(layerId, layer));
+                    added.add(layerId);
+                }
+            });
+        });
+        this.deckLayers.forEach((layer, layerId) => {
+            if (!added.has(layerId)) {
+                layers.push(this._withSelectionHighlight(layerId, layer));
+            }
+        });
 
         this.deckOverlay.setProps({
             layers: layers
         });
     }
 
-    _updateOverlayOpacity(overlayId, opacity) {
+    _withSelectionHighlight(layerId, layer) {
+        if (!this.selection || this.selection.layerId !== layerId) {
+            return layer;
+        }
+        return layer.clone({ highlightedObjectIndex: this.selection.index });
+    }
+
+    // Overlay opacity multiplied by the opacity of its group and the groups around it
+    _getEffectiveOpacity(overlayId) {
+        const overlay = this.options.overlays.find(o => o.id === overlayId);
+        const groupStates = this.stateManager.get('groups');
+        const groupIds = overlay?.group ? this.stateManager.getGroupChain(overlay.group) : [];
+        
+        return groupIds.reduce((opacity, groupId) => opacity * (groupStates[groupId]?.opacity ?? 1.0),
+            this.stateManager.get('overlays')[overlayId]?.opacity ?? 1.0);
+    }
+
+    // The layer's own props.opacity scaled by the effective opacity of its overlay
+    _getDeckLayerOpacity(deckLayerDef, overlayId) {
+        return (deckLayerDef?.props?.opacity ?? 1) * this._getEffectiveOpacity(overlayId);
+    }
+
+    _updateGroupOpacity(groupId) {
+        this.stateManager.getGroupOverlayIds(groupId).forEach(overlayId => {
+            this._updateOverlayOpacity(overlayId);
+        });
+    }
+
+    // Applies the effective opacity to the overlay's rendered layers
+    _updateOverlayOpacity(overlayId) {
+        const opacity = this._getEffectiveOpacity(overlayId);
+        this._updateMapLayerOpacity(overlayId, opacity);
+        
         const layerIds = this.overlayToLayerIds.get(overlayId);
         if (!layerIds) return;
         
+        const overlay = this.options.overlays.find(o => o.id === overlayId);
+        const deckLayerDefs = (overlay && this._getDeckLayerDefs(overlay)) || [];
         layerIds.forEach(layerId => {
             const layer = this.deckLayers.get(layerId);
             if (layer) {
-                const updatedLayer = layer.clone({ opacity: opacity });
+                const deckLayerDef = deckLayerDefs.find(def => def.id === layerId);
+                const updatedLayer = layer.clone({ opacity: (deckLayerDef?.props?.opacity ?? 1) * opacity });
                 this.deckLayers.set(layerId, updatedLayer);
             }
         });
@@ -910,8 +2293,37 @@ class UIManager {
 
     // UI Update Methods
     _setLoadingState(overlayId, isLoading) {
+        const wasLoading = this.loadingStates.get(overlayId) === true;
         this.loadingStates.set(overlayId, isLoading);
         this._updateOverlayUI(overlayId);
+        
+        if (isLoading && !wasLoading) {
+            this.stateManager.emit('loading', { id: overlayId });
+        }
+    }
+
+    _setSuccessState(overlayId) {
+        this.errorStates.delete(overlayId);
+        this._updateOverlayUI(overlayId);
+        this.stateManager.emit('success', { id: overlayId });
+    }
+
+    _setErrorState(overlayId, error) {
+        const message = error?.message || String(error);
+        this.errorStates.set(overlayId, message);
+        this._updateOverlayUI(overlayId);
+        this.stateManager.emit('error', { id: overlayId, error: message });
+    }
+
+    _setZoomFiltered(overlayId, filtered) {
+        if (this.zoomFilteredOverlays.has(overlayId) === filtered) return;
+        
+        if (filtered) {
+            this.zoomFilteredOverlays.add(overlayId);
+        } else {
+            this.zoomFilteredOverlays.delete(overlayId);
+        }
+        this.stateManager.emit('zoomfilter', { id: overlayId, filtered });
     }
 
     _updateBaseUI() {
@@ -931,12 +2343,23 @@ class UIManager {
         if (!overlayItem) return;
         
         const overlayState = this.stateManager.get('overlays')[overlayId];
-        const checkbox = overlayItem.querySelector('input[type="checkbox"]');
+        const checkbox = overlayItem.querySelector('input[type="checkbox"], input[type="radio"]');
         const loading = overlayItem.querySelector('.layers-control__loading');
         
         if (checkbox) {
             checkbox.checked = overlayState?.visible || false;
         }
+        this._updateOverlayGroupsUI(overlayId);
+        
+        // Opacity may have been rewritten or vetoed by a beforeoverlaychange handler
+        const slider = overlayItem.querySelector('.layers-control__opacity-slider');
+        if (slider && overlayState && parseFloat(slider.value) !== overlayState.opacity) {
+            slider.value = overlayState.opacity;
+            const opacityLabel = overlayItem.querySelector('.layers-control__opacity-label');
+            if (opacityLabel) {
+                opacityLabel.textContent = `${Math.round(overlayState.opacity * 100)}%`;
+            }
+        }
         
         // Determine status
         let status = 'success';
@@ -984,51 +2407,73 @@ class UIManager {
     }
 
     _updateGroupUI(groupId) {
-        const groupElement = this.panel?.querySelector(`input[value="${groupId}"]`);
+        const groupElement = this.panel?.querySelector(`.layers-control__group[data-group-id="${groupId}"]`);
         if (!groupElement) return;
         
+        this._applyGroupElementState(groupElement, groupId);
+    }
+
+    // Refreshes the groups containing the overlay, innermost first
+    _updateOverlayGroupsUI(overlayId) {
+        const overlay = this.options.overlays.find(o => o.id === overlayId);
+        if (!overlay?.group) return;
+        
+        this.stateManager.getGroupChain(overlay.group).forEach(groupId => this._updateGroupUI(groupId));
+    }
+
+    _applyGroupElementState(groupElement, groupId) {
+        const visibility = this.getGroupVisibility(groupId);
+        const checkbox = groupElement.querySelector(`input[data-group-id="${groupId}"]`);
+        if (checkbox) {
+            checkbox.checked = visibility === 'all';
+            checkbox.indeterminate = visibility === 'some';
+        }
+        
         const groupState = this.stateManager.get('groups')[groupId];
-        groupElement.checked = groupState?.visible || false;
+        const expanded = groupState?.expanded !== false;
+        groupElement.classList.toggle('layers-control__group--collapsed', !expanded);
+        
+        const expander = groupElement.querySelector(':scope > .layers-control__group-header > .layers-control__group-expander');
+        if (expander) {
+            expander.textContent = expanded ? '▾' : '▸';
+            expander.setAttribute('aria-expanded', String(expanded));
+            expander.setAttribute('aria-label', expanded ?
+                (this.options.i18n?.collapseGroup || 'Collapse group') :
+                (this.options.i18n?.expandGroup || 'Expand group'));
+        }
+        
+        const content = groupElement.querySelector(':scope > .layers-control__group-overlays');
+        if (content) {
+            content.hidden = !expanded;
+        }
+        
+        // Opacity may have been rewritten or vetoed by a beforegroupchange handler
+        const slider = groupElement.querySelector(':scope > .layers-control__group-header .layers-control__opacity-slider');
+        if (slider && groupState && parseFloat(slider.value) !== groupState.opacity) {
+            slider.value = groupState.opacity;
+            const opacityLabel = slider.parentElement.querySelector('.layers-control__opacity-label');
+            if (opacityLabel) {
+                opacityLabel.textContent = `${Math.round(groupState.opacity * 100)}%`;
+            }
+        }
+        
+        // A cancelled change leaves the natively unchecked radio of the previous overlay
+        if (this.stateManager.getGroupDefinition(groupId)?.type === 'radio') {
+            const overlayStates = this.stateManager.get('overlays');
+            groupElement.querySelectorAll('.layers-control__overlay-item input[type="radio"]').forEach(radio => {
+                radio.checked = !!overlayStates[radio.value]?.visible;
+            });
+        }
     }
 
     // Helper method to call overlay callbacks with context
     _callOverlayCallback(callback, overlayId, overlay, isUserInteraction) {
+        // A newer callback or hiding the overlay aborts context.signal; late results are ignored
+        const task = this._beginTask(this.callbackTasks, overlayId);
+        const isStale = () => this.callbackTasks.get(overlayId) !== task;
+        
         try {
-            const context = {
-                map: this.map,
-                overlayManager: this,
-                stateManager: this.stateManager,
-                overlayId: overlayId,
-                overlay: overlay,
-                isUserInteraction: isUserInteraction,
-                deckOverlay: this.deckOverlay,
-                getCurrentViewport: () => ({
-                    center: [this.map.getCenter().lng, this.map.getCenter().lat],
-                    zoom: this.map.getZoom(),
-                    bearing: this.map.getBearing(),
-                    pitch: this.map.getPitch()
-                }),
-                getOverlayState: (id) => this.stateManager.get('overlays')[id],
-                getAllOverlayStates: () => this.stateManager.get('overlays'),
-                // New Configuration API
-                getOverlayConfig: () => {
-                    return this.options.overlays.find(o => o.id === overlayId);
-                },
-                setOverlayConfig: (config, options = {}) => {
-                    this._setOverlayConfig(overlayId, config, options);
-                },
-                // New Caching API - using overlayId as key namespace
-                getCache: () => {
-                    return this.overlayCache.get(overlayId);
-                },
-                setCache: (value) => {
-                    this.overlayCache.set(overlayId, value);
-                },
-                clearCache: () => {
-                    this.overlayCache.delete(overlayId);
-                }
-            };
-            
+            const context = this._createOverlayContext(overlayId, overlay, isUserInteraction, task.signal);
             const result = callback(context);
             
             // Handle async callbacks with loading states
@@ -1037,24 +2482,67 @@ class UIManager {
                 this._setLoadingState(overlayId, true);
                 
                 result.then(() => {
+                    if (isStale()) return;
+                    this._endTask(this.callbackTasks, overlayId, task);
                     this._setLoadingState(overlayId, false);
-                    this.errorStates.delete(overlayId);
-                    this._updateOverlayUI(overlayId);
+                    this._setSuccessState(overlayId);
                 }).catch(error => {
+                    if (isStale()) return;
+                    this._endTask(this.callbackTasks, overlayId, task);
                     console.error(`Error in overlay callback for ${overlayId}:`, error);
                     this._setLoadingState(overlayId, false);
-                    this.errorStates.set(overlayId, error.message);
-                    this._updateOverlayUI(overlayId);
+                    this._setErrorState(overlayId, error);
                 });
+            } else {
+                this._endTask(this.callbackTasks, overlayId, task);
             }
         } catch (error) {
+            this._endTask(this.callbackTasks, overlayId, task);
             console.error(`Error calling overlay callback for ${overlayId}:`, error);
             this._setLoadingState(overlayId, false);
-            this.errorStates.set(overlayId, error.message);
-            this._updateOverlayUI(overlayId);
+            this._setErrorState(overlayId, error);
         }
     }
 
+    // Context object shared by onChecked/onUnchecked callbacks and renderOnClick
+    _createOverlayContext(overlayId, overlay, isUserInteraction, signal) {
+        return {
+            map: this.map,
+            overlayManager: this,
+            stateManager: this.stateManager,
+            overlayId: overlayId,
+            overlay: overlay,
+            isUserInteraction: isUserInteraction,
+            signal: signal,
+            deckOverlay: this.deckOverlay,
+            getCurrentViewport: () => ({
+                center: [this.map.getCenter().lng, this.map.getCenter().lat],
+                zoom: this.map.getZoom(),
+                bearing: this.map.getBearing(),
+                pitch: this.map.getPitch()
+            }),
+            getOverlayState: (id) => this.stateManager.get('overlays')[id],
+            getAllOverlayStates: () => this.stateManager.get('overlays'),
+            // New Configuration API
+            getOverlayConfig: () => {
+                return this.options.overlays.find(o => o.id === overlayId);
+            },
+            setOverlayConfig: (config, options = {}) => {
+                this._setOverlayConfig(overlayId, config, options);
+            },
+            // New Caching API - using overlayId as key namespace
+            getCache: () => {
+                return this.overlayCache.get(overlayId);
+            },
+            setCache: (value) => {
+                this.overlayCache.set(overlayId, value);
+            },
+            clearCache: () => {
+                this.overlayCache.delete(overlayId);
+            }
+        };
+    }
+
     // Dynamic overlay configuration system
     _setOverlayConfig(overlayId, newConfig, options = {}) {
         const overlayIndex = this.options.overlays.findIndex(o => o.id === overlayId);
@@ -1079,7 +2567,7 @@ class UIManager {
                 if (!changedProperties) {
                     // Full reapply - deactivate and reactivate
                     this._deactivateOverlay(overlayId);
-                    this._activateOverlay(overlayId, false);
+                    this._activateInBackground(overlayId, false);
                 } else {
                     // Selective updates
                     if (changedProperties.includes('deckLayers')) {
@@ -1114,12 +2602,14 @@ class UIManager {
             const overlayState = this.stateManager.get('overlays')[overlayId];
             if (overlayState?.visible) {
                 this._deactivateOverlay(overlayId);
-                this._activateOverlay(overlayId, false);
+                this._activateInBackground(overlayId, false);
             }
         }
     }
 
     _updateOverlayLayers(overlayId) {
+        const selection = this.selection?.overlayId === overlayId ? this.selection : null;
+        
         // Remove current layers
         const layerIds = this.overlayToLayerIds.get(overlayId);
         if (layerIds) {
@@ -1130,10 +2620,11 @@ class UIManager {
 
         // Add new layers
         const overlay = this.options.overlays.find(o => o.id === overlayId);
-        if (overlay && overlay.deckLayers) {
+        const deckLayerDefs = overlay && this._getDeckLayerDefs(overlay);
+        if (deckLayerDefs) {
             const newLayerIds = [];
             
-            overlay.deckLayers.forEach(deckLayerDef => {
+            deckLayerDefs.forEach(deckLayerDef => {
                 const layer = this._createDeckLayer(deckLayerDef, overlay);
                 if (layer) {
                     this.deckLayers.set(deckLayerDef.id, layer);
@@ -1144,9 +2635,38 @@ class UIManager {
             this.overlayToLayerIds.set(overlayId, newLayerIds);
         }
 
+        // The selected index refers to the replaced data: keep the selection if the feature is still there
+        if (selection) {
+            // Layers keep their id across reloads, or else their position in the overlay
+            const newLayerIds = this.overlayToLayerIds.get(overlayId) || [];
+            const layerId = newLayerIds.includes(selection.layerId) ?
+                selection.layerId :
+                newLayerIds[(layerIds || []).indexOf(selection.layerId)];
+            const data = layerId && this._getLayerData(this.deckLayers.get(layerId));
+            const index = data ? this._findSelectedIndex(data, selection.object) : -1;
+            if (index < 0) {
+                this.clearSelection();
+                return;
+            }
+            this.selection = { ...selection, layerId, index, object: data[index] };
+        }
         this._updateDeckOverlay();
     }
 
+    // Index of the previously selected feature in new layer data, by reference, id or content
+    _findSelectedIndex(data, previous) {
+        const id = previous?.id;
+        let index = data.indexOf(previous);
+        if (index < 0 && id !== undefined && id !== null) {
+            index = data.findIndex(object => object?.id === id);
+        }
+        if (index < 0) {
+            const json = JSON.stringify(previous);
+            index = data.findIndex(object => JSON.stringify(object) === json);
+        }
+        return index;
+    }
+
     _applyViewportChanges(overlay, applyViewport) {
         if (!this.map) return;
 
@@ -1207,8 +2727,13 @@ class UIManager {
             this._deactivateOverlay(overlayId);
         }
         
+        this._clearSelectionForOverlay(overlayId);
+        this._cancelTask(this.activationTasks, overlayId);
+        this._cancelTask(this.callbackTasks, overlayId);
         this.options.overlays = this.options.overlays.filter(o => o.id !== overlayId);
         this.overlayCache.delete(overlayId); // Clear overlay-specific cache
+        this.renderOnClickResults.delete(overlayId);
+        this._cancelViewportReload(overlayId);
         this.loadingStates.delete(overlayId);
         this.errorStates.delete(overlayId);
         this.zoomFilteredOverlays.delete(overlayId);
@@ -1217,11 +2742,22 @@ class UIManager {
     }
 
     removeAllOverlays() {
+        this.clearSelection();
         this.deckLayers.clear();
         this.overlayToLayerIds.clear();
         this._updateDeckOverlay();
         
+        this.overlayToMapLayerIds.forEach((tracked, overlayId) => this._removeMapLayers(overlayId));
         this.overlayCache.clear(); // Clear all overlay caches
+        this.renderOnClickResults.clear();
+        this.viewportReloadTimers.forEach(timer => clearTimeout(timer));
+        this.viewportReloadTimers.clear();
+        this.renderOnClickControllers.forEach(controller => controller?.abort());
+        this.renderOnClickControllers.clear();
+        this.renderOnClickLoading.clear();
+        [this.activationTasks, this.callbackTasks].forEach(tasks => {
+            Array.from(tasks.keys()).forEach(overlayId => this._cancelTask(tasks, overlayId));
+        });
         this.loadingStates.clear();
         this.errorStates.clear();
         this.zoomFilteredOverlays.clear();
@@ -1229,4 +2765,16 @@ class UIManager {
         this.options.overlays = [];
         this.updateOverlays();
     }
-}
\ No newline at end of file
+}
+
+// Paint properties scaled by overlay opacity, per MapLibre layer type
+UIManager.MAP_LAYER_OPACITY_PROPERTIES = {
+    'fill': ['fill-opacity'],
+    'line': ['line-opacity'],
+    'circle': ['circle-opacity', 'circle-stroke-opacity'],
+    'symbol': ['icon-opacity', 'text-opacity'],
+    'raster': ['raster-opacity'],
+    'fill-extrusion': ['fill-extrusion-opacity'],
+    'heatmap': ['heatmap-opacity'],
+    'background': ['background-opacity']
+};
@@ -0,0 +1,199 @@
+/**
+ * UrlSync - Encodes control state into the URL hash or query string for shareable permalinks
+ *
+ * Format (default keys): #base=dark&layers=roads,parcels:50&map=12.00/48.85000/2.35000/30/45
+ * - layers: visible overlay ids in draw order, with ":<opacity %>" when below 100 (no suffix is 100)
+ * - map: zoom/lat/lng, followed by bearing/pitch when not 0
+ */
+class UrlSync {
+    /**
+     * @param {Object} [options]
+     * @param {'hash'|'query'} [options.mode='hash'] - Where the parameters live
+     * @param {'replace'|'push'} [options.history='replace'] - replaceState, or pushState for back/forward navigation
+     * @param {boolean} [options.viewport=true] - Include the viewport
+     * @param {Object} [options.keys] - Parameter names: { base: 'base', overlays: 'layers', viewport: 'map' }
+     * @param {number} [options.debounce=300] - Delay (ms) before a state change is written to the URL
+     */
+    constructor(options = {}) {
+        this.mode = options.mode === 'query' ? 'query' : 'hash';
+        this.history = options.history === 'push' ? 'push' : 'replace';
+        this.viewport = options.viewport !== false;
+        this.debounce = options.debounce !== undefined ? options.debounce : 300;
+        this.keys = {
+            base: 'base',
+            overlays: 'layers',
+            viewport: 'map',
+            ...(options.keys || {})
+        };
+    }
+
+    /**
+     * Read state from the current URL
+     * @returns {Object|null} { baseId?, overlays?: { id: { visible, opacity } }, layerOrder?, viewport? }, or null when no key is present
+     */
+    read() {
+        return this.decode(this._getParams());
+    }
+
+    /**
+     * Write state to the URL, unless it is already encoded there
+     * @param {Object} state - StateManager.getAll() snapshot
+     * @returns {boolean} True if the URL changed
+     */
+    write(state) {
+        const params = this._getParams();
+        Object.entries(this.encode(state)).forEach(([key, value]) => {
+            if (value === null) {
+                params.delete(key);
+            } else {
+                params.set(key, value);
+            }
+        });
+
+        const url = this._buildUrl(params);
+        if (url === this._currentUrl()) return false;
+
+        const method = this.history === 'push' ? 'pushState' : 'replaceState';
+        window.history[method](window.history.state, '', url);
+        return true;
+    }
+
+    /**
+     * Encode a state snapshot into URL parameter values (null removes the parameter)
+     * @param {Object} state - { baseId, overlays, layerOrder, viewport }
+     * @returns {Object<string, string|null>}
+     */
+    encode(state) {
+        const overlays = state.overlays || {};
+        const order = [...(state.layerOrder || [])].reverse();
+        Object.keys(overlays).forEach(id => {
+            if (!order.includes(id)) order.push(id);
+        });
+
+        // Front-most first, like the panel
+        const visible = order
+            .filter(id => overlays[id]?.visible)
+            .map(id => {
+                const opacity = overlays[id].opacity;
+                const percent = typeof opacity === 'number' ? Math.round(opacity * 100) : 100;
+                return encodeURIComponent(id) + (percent < 100 ? `:${percent}` : '');
+            });
+
+        const values = {
+            [this.keys.base]: state.baseId ? encodeURIComponent(state.baseId) : null,
+            [this.keys.overlays]: visible.join(',')
+        };
+
+        if (this.viewport) {
+            values[this.keys.viewport] = this._encodeViewport(state.viewport);
+        }
+        return values;
+    }
+
+    /**
+     * Decode URL parameters into a partial state
+     * @param {Map<string, string>} params - Raw (still URI-encoded) parameter values
+     * @returns {Object|null}
+     */
+    decode(params) {
+        const state = {};
+
+        if (params.has(this.keys.base) && params.get(this.keys.base)) {
+            state.baseId = this._decode(params.get(this.keys.base));
+        }
+
+        if (params.has(this.keys.overlays)) {
+            state.overlays = {};
+            state.layerOrder = [];
+            params.get(this.keys.overlays).split(',').filter(Boolean).forEach(entry => {
+                const [id, percent] = entry.split(':');
+                // The suffix is left out at 100%, so a bare id restores full opacity
+                const opacity = percent === undefined ? 1 : parseFloat(percent) / 100;
+                state.overlays[this._decode(id)] = {
+                    visible: true,
+                    opacity: isNaN(opacity) ? 1 : Math.max(0, Math.min(1, opacity))
+                };
+                state.layerOrder.push(this._decode(id));
+            });
+
+            // Listed front-most first; layerOrder is back to front
+            state.layerOrder.reverse();
+        }
+
+        if (this.viewport && params.has(this.keys.viewport)) {
+            const viewport = this._decodeViewport(params.get(this.keys.viewport));
+            if (viewport) {
+                state.viewport = viewport;
+            }
+        }
+
+        return Object.keys(state).length > 0 ? state : null;
+    }
+
+    // Private methods
+    _encodeViewport(viewport) {
+        if (!viewport || !viewport.center || typeof viewport.zoom !== 'number') return null;
+
+        const center = Array.isArray(viewport.center) ?
+            { lng: viewport.center[0], lat: viewport.center[1] } :
+            viewport.center;
+        const parts = [viewport.zoom.toFixed(2), Number(center.lat).toFixed(5), Number(center.lng).toFixed(5)];
+
+        const bearing = Math.round(viewport.bearing || 0);
+        const pitch = Math.round(viewport.pitch || 0);
+        if (bearing !== 0 || pitch !== 0) {
+            parts.push(bearing, pitch);
+        }
+        return parts.join('/');
+    }
+
+    _decodeViewport(value) {
+        const [zoom, lat, lng, bearing, pitch] = String(value).split('/').map(parseFloat);
+        if ([zoom, lat, lng].some(isNaN)) return null;
+
+        return {
+            center: [lng, lat],
+            zoom,
+            bearing: isNaN(bearing) ? 0 : bearing,
+            pitch: isNaN(pitch) ? 0 : pitch
+        };
+    }
+
+    // Hash/query as an ordered key -> raw value map; parameters of other code are preserved
+    _getParams() {
+        const raw = this.mode === 'hash' ? window.location.hash.slice(1) : window.location.search.slice(1);
+        const params = new Map();
+
+        raw.split('&').filter(Boolean).forEach(pair => {
+            const index = pair.indexOf('=');
+            const key = this._decode(index > -1 ? pair.slice(0, index) : pair);
+            params.set(key, index > -1 ? pair.slice(index + 1) : '');
+        });
+        return params;
+    }
+
+    _buildUrl(params) {
+        const encoded = Array.from(params.entries())
+            .map(([key, value]) => (value === '' ? encodeURIComponent(key) : `${encodeURIComponent(key)}=${value}`))
+            .join('&');
+        const { pathname, search, hash } = window.location;
+
+        if (this.mode === 'hash') {
+            return `${pathname}${search}${encoded ? `#${encoded}` : ''}`;
+        }
+        return `${pathname}${encoded ? `?${encoded}` : ''}${hash}`;
+    }
+
+    _currentUrl() {
+        const { pathname, search, hash } = window.location;
+        return `${pathname}${search}${hash}`;
+    }
+
+    _decode(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch (e) {
+            return value;
+        }
+    }
+}